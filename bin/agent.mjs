@@ -0,0 +1,193 @@
+// dotkc agent: an ssh-agent-style daemon that keeps the unlocked vault key (and the decrypted vault)
+// in memory for a limited time, so commands do not re-read/unlock the key file every time.
+//
+// Clients connect to a per-user Unix socket (mode 0600) and exchange one line of JSON per request.
+// The vault is re-decrypted whenever its file fingerprint changes, so writes (from any machine) are
+// picked up. When the TTL expires the agent wipes the key and exits.
+
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import net from 'node:net';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+import { expandHome, getVaultFingerprint, loadVault, readIdentity } from './vault.mjs';
+
+export const DEFAULT_AGENT_TTL_MS = 15 * 60 * 1000;
+// setTimeout fires at once for delays above 2^31-1 ms (~24.8 days)
+export const MAX_AGENT_TTL_MS = 2 ** 31 - 1;
+
+export function defaultAgentSocketPath() {
+  return path.join(os.homedir(), '.dotkc', 'agent.sock');
+}
+
+export function agentSocketPath(arg) {
+  return expandHome(arg ?? process.env.DOTKC_AGENT_SOCK ?? defaultAgentSocketPath());
+}
+
+// Buffers (keys) survive the JSON round trip as { type: 'Buffer', data: [...] }.
+function reviveBuffers(_k, v) {
+  return v && v.type === 'Buffer' && Array.isArray(v.data) ? Buffer.from(v.data) : v;
+}
+
+// One request/response. Rejects if nothing listens on the socket (ENOENT/ECONNREFUSED) or on timeout.
+export function agentRequest(socketPath, req, { timeoutMs = 5000 } = {}) {
+  return new Promise((resolve, reject) => {
+    const sock = net.connect(socketPath);
+    let buf = '';
+    const timer = setTimeout(() => sock.destroy(new Error(`dotkc agent did not answer: ${socketPath}`)), timeoutMs);
+    sock.setEncoding('utf8');
+    sock.on('connect', () => sock.write(JSON.stringify(req) + '\n'));
+    sock.on('data', (chunk) => {
+      buf += chunk;
+      const nl = buf.indexOf('\n');
+      if (nl === -1) return;
+      clearTimeout(timer);
+      sock.end();
+      let res;
+      try {
+        res = JSON.parse(buf.slice(0, nl), reviveBuffers);
+      } catch (e) {
+        reject(e);
+        return;
+      }
+      if (res.ok) resolve(res.result);
+      else reject(new Error(res.error ?? 'dotkc agent error'));
+    });
+    sock.on('error', (e) => {
+      clearTimeout(timer);
+      reject(e);
+    });
+  });
+}
+
+// loadVault() through the agent: { loaded, key } (key: the unlocked vault key, or null). Both are null
+// when the agent holds a key for another key file than keyPath, or the key file has changed since.
+export function agentLoadVault(socketPath, vaultPath, keyPath) {
+  return agentRequest(socketPath, { op: 'load', vaultPath: path.resolve(vaultPath), keyPath: path.resolve(keyPath) });
+}
+
+// The unlocked key of keyPath, if the agent holds it (and the key file has not changed since): { key }.
+export function agentUnlockKey(socketPath, keyPath) {
+  return agentRequest(socketPath, { op: 'key', keyPath: path.resolve(keyPath) });
+}
+
+function fileHash(fp) {
+  try {
+    return crypto.createHash('sha256').update(fs.readFileSync(fp)).digest('hex');
+  } catch {
+    return null;
+  }
+}
+
+// Run the agent in this process. `key` is the unlocked key of keyPath (or null); the identity is read
+// from identityPath. Resolves once the socket is listening.
+export function serveAgent({ socketPath, ttlMs = DEFAULT_AGENT_TTL_MS, key = null, keyPath = null, identityPath = null }) {
+  const identity = identityPath ? readIdentity(identityPath) : null;
+  // a rotated or replaced key file must not be answered with the old key
+  const keyFileHash = key && keyPath ? fileHash(keyPath) : null;
+  const startedAt = new Date();
+  const expiresAt = new Date(startedAt.getTime() + ttlMs);
+  const cache = new Map(); // vaultPath -> loadVault() result
+
+  const handle = (req) => {
+    if (req?.op === 'status') {
+      return {
+        pid: process.pid,
+        startedAt: startedAt.toISOString(),
+        expiresAt: expiresAt.toISOString(),
+        keyPath: key ? keyPath : null,
+        identity: identity?.id ?? null,
+        vaults: [...cache.keys()],
+      };
+    }
+    const keyMatches = () => Boolean(key && keyFileHash && req.keyPath === keyPath && fileHash(keyPath) === keyFileHash);
+    if (req?.op === 'key') {
+      return { key: keyMatches() ? key : null };
+    }
+    if (req?.op === 'load') {
+      const vaultPath = String(req.vaultPath ?? '');
+      if (!path.isAbsolute(vaultPath)) throw new Error('vaultPath must be absolute');
+      if (key && !keyMatches()) {
+        // what was decrypted with the old key must not be answered either
+        cache.delete(vaultPath);
+        return { loaded: null, key: null };
+      }
+      const fingerprint = getVaultFingerprint(vaultPath);
+      let loaded = cache.get(vaultPath);
+      if (!loaded || loaded.fingerprint !== fingerprint) {
+        loaded = loadVault(vaultPath, { key, identity });
+        if (loaded.exists) cache.set(vaultPath, loaded);
+        else cache.delete(vaultPath);
+      }
+      return { loaded, key };
+    }
+    if (req?.op === 'stop') {
+      setImmediate(shutdown);
+      return { stopped: true };
+    }
+    throw new Error(`Unknown agent request: ${req?.op}`);
+  };
+
+  const server = net.createServer((sock) => {
+    let buf = '';
+    sock.setEncoding('utf8');
+    sock.on('data', (chunk) => {
+      buf += chunk;
+      const nl = buf.indexOf('\n');
+      if (nl === -1) return;
+      let res;
+      try {
+        res = { ok: true, result: handle(JSON.parse(buf.slice(0, nl))) };
+      } catch (e) {
+        res = { ok: false, error: e?.message ?? String(e) };
+      }
+      sock.end(JSON.stringify(res) + '\n');
+    });
+    sock.on('error', () => {});
+  });
+
+  function shutdown() {
+    key?.fill(0);
+    cache.clear();
+    server.close();
+    fs.rmSync(socketPath, { force: true });
+    process.exit(0);
+  }
+
+  setTimeout(shutdown, ttlMs);
+  process.on('SIGTERM', shutdown);
+  process.on('SIGINT', shutdown);
+
+  fs.mkdirSync(path.dirname(socketPath), { recursive: true, mode: 0o700 });
+  // a socket left behind by an agent that did not shut down cleanly
+  fs.rmSync(socketPath, { force: true });
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    // create the socket 0600 from the start (no window where others could connect)
+    const prevUmask = process.umask(0o177);
+    server.listen(socketPath, () => {
+      process.umask(prevUmask);
+      fs.chmodSync(socketPath, 0o600);
+      resolve({ pid: process.pid, expiresAt });
+    });
+  });
+}
+
+// `node agent.mjs --serve <socket> <ttlMs> <keyPath> [identityPath]`, spawned detached by `dotkc agent start`.
+// The key arrives on stdin (base64, possibly empty) so it never shows up in the process list.
+if (process.argv[1] === fileURLToPath(import.meta.url) && process.argv[2] === '--serve') {
+  const [, , , socketPath, ttl, keyPath, identityPath] = process.argv;
+  const chunks = [];
+  for await (const c of process.stdin) chunks.push(c);
+  const b64 = Buffer.concat(chunks).toString('utf8').trim();
+  await serveAgent({
+    socketPath,
+    ttlMs: Number(ttl),
+    key: b64 ? Buffer.from(b64, 'base64') : null,
+    keyPath: path.resolve(keyPath),
+    identityPath: identityPath || null,
+  });
+}
@@ -0,0 +1,624 @@
+// Node.js API for dotkc: `import { openVault } from 'dotkc'`.
+//
+// The CLI is built on this module, so both share the same guarantees: the previous vault is backed up
+// before every write, writes are checked against the fingerprint that was loaded (sync conflicts are
+// merged key by key or refused), and reads of secret values are recorded in the local audit log.
+// Errors carry a `code` (NOT_FOUND, INVALID_SPEC, NO_KEY, PASSPHRASE_REQUIRED, DECRYPT_FAILED,
+// SYNC_CONFLICT, LOCKED, AUDIT_FAILED, INVALID, REFERENCE_CYCLE, CONFLICT).
+
+import fs from 'node:fs';
+import path from 'node:path';
+
+import { agentLoadVault } from './agent.mjs';
+import { appendAuditEntry, auditEnabled, auditLogPath } from './audit.mjs';
+import { checkPolicyCategories, checkPolicyKeys } from './policy.mjs';
+import {
+  acquireVaultLock,
+  defaultIdentityPath,
+  defaultVaultKeyPath,
+  defaultVaultPath,
+  diffData,
+  expandHome,
+  getVaultFingerprint,
+  globToRegExp,
+  loadVault,
+  mergeData,
+  readIdentity,
+  readKeyFile,
+  saveVault,
+  stampMetadata,
+  unwrapVaultKey,
+} from './vault.mjs';
+
+const ENV_KEY_RE = /^[A-Z_][A-Z0-9_]*$/;
+
+// resolveSpecs({ onConflict }) when specs provide the same name
+export const CONFLICT_MODES = ['error', 'first', 'last'];
+
+function vaultError(message, code, extra = {}) {
+  const err = new Error(message);
+  err.code = code;
+  return Object.assign(err, extra);
+}
+
+// Names specs may rename to / prefix with.
+const ENV_NAME_RE = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+// Stored key names: they end up in env vars and `svc:cat:KEY` specs, so no whitespace, ':', '=' or '*'.
+// Returns an error message, or null if the name is fine.
+export function checkKeyName(k) {
+  if (/^[^\s:=*]+$/.test(String(k ?? ''))) return null;
+  return `Invalid key name: ${JSON.stringify(String(k ?? ''))} (no whitespace, ':', '=' or '*')`;
+}
+
+// <service>:<category> (wildcard) or <service>:<category>:<KEY> (exact); services may contain ':'.
+// A `*` in any segment makes a glob spec (kind 'glob'; key null for whole categories), e.g.
+// "fly.io:*-dev" or "vercel:acme-app-dev:CLERK_*".
+// Env names: <service>:<category>:<KEY>=<NAME> injects KEY as NAME (`as`), <service>:<category>@<PREFIX>
+// injects every key as PREFIX + KEY (`prefix`). Categories may contain '@': a last "@…" that is not an env
+// name is part of the category ("svc:team@acme.com"), and resolveSpecs reads "svc:team@acme" as the
+// category "team@acme" when there is no category "team" but there is that one.
+export function parseSpec(s) {
+  const input = String(s ?? '');
+  const parts = input.split(':');
+  if (parts.length < 2) return { kind: 'invalid', input };
+  if (parts.length === 2) {
+    const [service, cat] = parts;
+    const at = cat.lastIndexOf('@');
+    const prefix = at === -1 ? null : cat.slice(at + 1);
+    const category = prefix != null && ENV_NAME_RE.test(prefix) ? cat.slice(0, at) : cat;
+    const kind = `${service}:${category}`.includes('*') ? 'glob' : 'wildcard';
+    const key = kind === 'glob' ? { key: null } : {};
+    if (category === cat) return { kind, service, category, ...key };
+    return { kind, service, category, ...key, prefix };
+  }
+  let key = parts.pop();
+  const category = parts.pop();
+  const service = parts.join(':');
+  const eq = key.indexOf('=');
+  const as = eq === -1 ? null : key.slice(eq + 1);
+  if (eq !== -1) key = key.slice(0, eq);
+  if (input.includes('*')) {
+    // a rename needs a single key
+    if (as != null) return { kind: 'invalid', input };
+    return { kind: 'glob', service, category, key };
+  }
+  if (as == null) return { kind: 'exact', service, category, key };
+  if (!key || !ENV_NAME_RE.test(as)) return { kind: 'invalid', input };
+  return { kind: 'exact', service, category, key, as };
+}
+
+// <service>:<category> naming a category; an "@…" is part of its name here, never a prefix.
+export function parseSvcCat(s) {
+  const sp = parseSpec(s);
+  if (sp.kind !== 'wildcard') return null;
+  return { service: sp.service, category: sp.prefix ? `${sp.category}@${sp.prefix}` : sp.category };
+}
+
+export function specToString(sp) {
+  if (sp.kind === 'exact') return `${sp.service}:${sp.category}:${sp.key}${sp.as ? `=${sp.as}` : ''}`;
+  if (sp.kind === 'wildcard' || (sp.kind === 'glob' && sp.key == null)) return `${sp.service}:${sp.category}${sp.prefix ? `@${sp.prefix}` : ''}`;
+  if (sp.kind === 'glob') return `${sp.service}:${sp.category}:${sp.key}`;
+  return sp.input;
+}
+
+export function redact(v) {
+  const s = String(v ?? '');
+  const len = s.length;
+  if (len <= 8) return `*** (len=${len})`;
+  return `${s.slice(0, 4)}…${s.slice(-4)} (len=${len})`;
+}
+
+// Specs from a spec file: one or more per line (comma-separated); `#` starts a comment.
+export function readSpecFile(fp) {
+  const abs = path.resolve(fp);
+  if (!fs.existsSync(abs)) throw vaultError(`Spec file not found: ${abs}`, 'INVALID');
+  return fs
+    .readFileSync(abs, 'utf8')
+    .split(/\r?\n/)
+    .map((l) => l.replace(/#.*/, '').trim())
+    .filter(Boolean)
+    .flatMap((l) => l.split(',').map((x) => x.trim()).filter(Boolean));
+}
+
+export function resolveVaultPaths({ vaultPath, keyPath, identityPath } = {}) {
+  return {
+    vaultPath: expandHome(vaultPath ?? process.env.DOTKC_VAULT_PATH ?? defaultVaultPath()),
+    keyPath: expandHome(keyPath ?? process.env.DOTKC_VAULT_KEY_PATH ?? defaultVaultKeyPath()),
+    identityPath: expandHome(identityPath ?? process.env.DOTKC_IDENTITY_PATH ?? defaultIdentityPath()),
+  };
+}
+
+// Read the key file. A passphrase-protected key needs `passphrase`: a string, or a function
+// (may be async) that is only called when the key is protected. Returns null if the key file is
+// missing or invalid.
+export async function readKey(keyPath, { passphrase = null } = {}) {
+  const kf = readKeyFile(keyPath);
+  if (!kf) return null;
+  if (!kf.wrapped) return kf.key;
+
+  const p = typeof passphrase === 'function' ? await passphrase(keyPath) : passphrase;
+  if (p == null) throw vaultError(`Key file is passphrase-protected: ${keyPath}`, 'PASSPHRASE_REQUIRED');
+  return unwrapVaultKey(kf.wrapped, p);
+}
+
+// References inside values written with references (`set --refs`; flagged `refs` in their metadata):
+// "${KEY}" (same service/category) or "${dotkc:service:category:KEY}"; "$${" is a literal "${". A
+// "${KEY}" naming no entry is left as is; anything else in ${...} is left alone too. Every other value
+// is plain text.
+const REF_RE = /\$\$\{|\$\{(dotkc:[^}]+|[A-Za-z_][A-Za-z0-9_]*)\}/g;
+
+// Whether a value contains reference syntax (it reads back unchanged unless written with references).
+export function hasReferenceSyntax(value) {
+  return String(value ?? '').search(REF_RE) !== -1;
+}
+
+function refTarget(inner, service, category) {
+  if (!inner.startsWith('dotkc:')) return { service, category, key: inner };
+  const sp = parseSpec(inner.slice('dotkc:'.length));
+  if (sp.kind !== 'exact' || sp.as) throw vaultError(`Invalid reference: \${${inner}} (expected \${dotkc:<service>:<category>:<KEY>})`, 'INVALID');
+  return sp;
+}
+
+// "svc:cat:KEY" of every entry a value references directly
+function valueReferences(value, service, category) {
+  const out = [];
+  for (const m of String(value ?? '').matchAll(REF_RE)) {
+    if (m[1] == null) continue;
+    const t = refTarget(m[1], service, category);
+    out.push(`${t.service}:${t.category}:${t.key}`);
+  }
+  return out;
+}
+
+// Split "a:b, c:d:K" (or an array of strings / parsed specs) into parsed specs.
+function toSpecs(input) {
+  const list = Array.isArray(input) ? input : String(input ?? '').split(',');
+  return list
+    .map((s) => (typeof s === 'string' ? s.trim() : s))
+    .filter(Boolean)
+    .map((s) => (typeof s === 'string' ? parseSpec(s) : s));
+}
+
+// Open (decrypt) the vault.
+//
+// Options: vaultPath/keyPath/identityPath (default: env vars, then ~/.dotkc), key (a Buffer, skips the
+// key file), passphrase (see readKey), lock (hold the vault write lock until close()), command
+// (the label for audit log entries), and agentSocket (default: DOTKC_AGENT_SOCK; null to bypass a
+// running `dotkc agent`).
+export async function openVault(opts = {}) {
+  const { vaultPath, keyPath, identityPath } = resolveVaultPaths(opts);
+  const command = opts.command ?? null;
+  const identity = readIdentity(identityPath);
+
+  const lock = opts.lock ? await acquireVaultLock(vaultPath, { command: command ?? 'api' }) : null;
+
+  let key = opts.key ?? null;
+  let loaded = null;
+  try {
+    const agentSocket = opts.agentSocket === undefined ? process.env.DOTKC_AGENT_SOCK : opts.agentSocket;
+    if (!key && agentSocket) {
+      // a running agent saves the unlock (and the decrypt); anything else falls back to the files
+      try {
+        const res = await agentLoadVault(expandHome(agentSocket), vaultPath, keyPath);
+        if (res.loaded?.exists) ({ loaded, key } = res);
+      } catch {
+        loaded = null;
+      }
+    }
+    if (!loaded && !key && identity) {
+      // avoid a passphrase prompt when this machine's identity can open the vault
+      try {
+        loaded = loadVault(vaultPath, { identity });
+        if (!loaded.exists) loaded = null;
+      } catch {
+        loaded = null;
+      }
+    }
+    if (!loaded) {
+      key ??= await readKey(keyPath, { passphrase: opts.passphrase });
+      if (!key && identity) {
+        throw vaultError(
+          `This machine's identity is not a recipient of the vault and no key file was found: ${keyPath}\nRun \`dotkc recipient pubkey\` and add it from a machine with access.`,
+          'NO_KEY',
+        );
+      }
+      if (!key) throw vaultError(`Vault key not found (or invalid): ${keyPath}\nRun: dotkc init`, 'NO_KEY');
+      try {
+        loaded = loadVault(vaultPath, { key, identity });
+      } catch (e) {
+        throw vaultError(`Failed to decrypt vault: ${vaultPath}\n${e?.message ?? String(e)}`, 'DECRYPT_FAILED');
+      }
+    }
+  } catch (e) {
+    lock?.release();
+    throw e;
+  }
+
+  let data = loaded.data;
+  let fingerprint = loaded.fingerprint ?? getVaultFingerprint(vaultPath);
+  let seal = loaded.seal;
+  let meta = loaded.meta;
+  let payloadVersion = loaded.payloadVersion;
+  // values + metadata as loaded; used to stamp metadata on save and as the merge base on sync conflicts
+  let base = structuredClone(data);
+  let baseMeta = structuredClone(meta);
+
+  const audit = (entry) => {
+    if (!auditEnabled()) return;
+    try {
+      appendAuditEntry(auditLogPath(), { key, identity }, entry);
+    } catch (e) {
+      throw vaultError(
+        `Failed to write audit log: ${auditLogPath()}\n${e?.message ?? String(e)}\nFix the log file (or set DOTKC_AUDIT=0 to disable auditing).`,
+        'AUDIT_FAILED',
+      );
+    }
+  };
+
+  const refsFlag = (service, category, k) => meta?.[service]?.[category]?.[k]?.refs === true;
+
+  // Value of an entry with references resolved (recursively). `refs` collects every entry pulled in.
+  const expand = (service, category, k, refs = new Set(), chain = []) => {
+    const id = `${service}:${category}:${k}`;
+    if (chain.includes(id)) throw vaultError(`Reference cycle: ${[...chain, id].join(' → ')}`, 'REFERENCE_CYCLE');
+    const v = data?.[service]?.[category]?.[k];
+    if (v == null) throw vaultError(`Missing secret: ${id}${chain.length ? ` (referenced by ${chain.at(-1)})` : ''}`, 'NOT_FOUND');
+    return refsFlag(service, category, k) ? expandText(v, service, category, refs, [...chain, id]) : String(v);
+  };
+  const expandText = (v, service, category, refs, chain) =>
+    String(v).replace(REF_RE, (m, inner) => {
+      if (inner == null) return '${';
+      const t = refTarget(inner, service, category);
+      if (!inner.startsWith('dotkc:') && data?.[t.service]?.[t.category]?.[t.key] == null) return m;
+      refs.add(`${t.service}:${t.category}:${t.key}`);
+      return expand(t.service, t.category, t.key, refs, chain);
+    });
+
+  // "svc:team@acme" is category "team" with prefix "acme", unless no category matches "team" and one
+  // matches "team@acme": then it names that category.
+  const hasCategory = (sp, category) => {
+    if (sp.kind !== 'glob') return data?.[sp.service]?.[category] != null;
+    const re = { service: globToRegExp(sp.service), category: globToRegExp(category) };
+    return Object.keys(data ?? {}).some((sv) => re.service.test(sv) && Object.keys(data[sv]).some((c) => re.category.test(c)));
+  };
+  const literalCategory = (sp) => {
+    if (!sp.prefix || hasCategory(sp, sp.category)) return sp;
+    const { prefix, ...rest } = sp;
+    const category = `${sp.category}@${prefix}`;
+    return hasCategory(rest, category) ? { ...rest, category } : sp;
+  };
+
+  const metaFor = (service, category, k) => {
+    const m = meta?.[service]?.[category]?.[k] ?? {};
+    return { createdAt: m.createdAt ?? null, updatedAt: m.updatedAt ?? null, updatedBy: m.updatedBy ?? null, note: m.note ?? null };
+  };
+
+  // Write `next` (default: the live tree). On a sync conflict the change is merged into what is on
+  // disk now; secrets changed on both sides make it throw SYNC_CONFLICT (with `conflicts`) and nothing
+  // is written. Seal changes (recipients) are never merged. Returns { fingerprint, merged }.
+  // `keepMeta`: "svc:cat:KEY" ids whose metadata in `meta` is written as is instead of being stamped
+  // (entries moved or renamed together with their metadata). `refs`: Map of "svc:cat:KEY" → whether
+  // its value is written with references; other new or changed values are plain text.
+  const save = (next = data, { seal: nextSeal = seal, payloadVersion: nextPayloadVersion = payloadVersion, command: label = command ?? 'save', keepMeta = null, refs = null } = {}) => {
+    // what this call changed (before any merge with changes made elsewhere)
+    const { added, removed, changed } = diffData(base, next);
+    let nextMeta = nextPayloadVersion >= 2 ? stampMetadata(base, next, meta, { keep: keepMeta ? new Set(keepMeta) : null, refs }) : meta;
+    let merged = false;
+    for (let attempt = 0; ; attempt++) {
+      try {
+        fingerprint = saveVault(vaultPath, nextSeal, next, {
+          expectedFingerprint: fingerprint,
+          meta: nextMeta,
+          payloadVersion: nextPayloadVersion,
+        });
+        break;
+      } catch (e) {
+        if (e?.code !== 'SYNC_CONFLICT' || nextSeal !== seal || attempt >= 2) throw e;
+
+        let theirs;
+        try {
+          theirs = loadVault(vaultPath, { key, identity });
+        } catch (e2) {
+          throw vaultError(`${e.message}\n${e2?.message ?? String(e2)}`, 'SYNC_CONFLICT');
+        }
+        const m = mergeData({ base, ours: next, theirs: theirs.data, baseMeta, ourMeta: nextMeta, theirMeta: theirs.meta });
+        if (m.conflicts.length > 0) {
+          throw vaultError(
+            'Vault changed on disk (sync conflict) and these secrets were changed on both sides:\n' +
+              m.conflicts.map((c) => `  ${c}\n`).join('') +
+              'Nothing was written. Re-run the command to apply your change on top of the current vault.',
+            'SYNC_CONFLICT',
+            { conflicts: m.conflicts },
+          );
+        }
+
+        merged = true;
+        next = m.data;
+        nextMeta = m.meta;
+        nextSeal = theirs.seal;
+        seal = theirs.seal;
+        nextPayloadVersion = Math.max(nextPayloadVersion, theirs.payloadVersion);
+        fingerprint = theirs.fingerprint;
+        base = theirs.data;
+        baseMeta = theirs.meta;
+      }
+    }
+    data = next;
+    seal = nextSeal;
+    meta = nextMeta;
+    payloadVersion = nextPayloadVersion;
+    // same shape as read entries: qualified ids in `specs`, bare key names in `keys`
+    const ids = [...added, ...removed, ...changed].sort();
+    audit({ command: label, specs: ids, keys: [...new Set(ids.map((id) => id.slice(id.lastIndexOf(':') + 1)))].sort() });
+    base = structuredClone(next);
+    baseMeta = structuredClone(nextMeta);
+    return { fingerprint, merged };
+  };
+
+  return {
+    vaultPath,
+    keyPath,
+    identityPath,
+    identity,
+    version: loaded.version,
+    // the decrypted tree ({ service: { category: { KEY: value } } }); reads through it are not audited
+    get data() {
+      return data;
+    },
+    get meta() {
+      return meta;
+    },
+    get seal() {
+      return seal;
+    },
+    get payloadVersion() {
+      return payloadVersion;
+    },
+    get fingerprint() {
+      return fingerprint;
+    },
+    // null when the vault was opened with this machine's identity
+    get key() {
+      return key;
+    },
+
+    metaFor,
+    save,
+    audit,
+
+    // References are resolved unless `raw`. `policy`: a profile from resolvePolicyProfile() (see
+    // policy.mjs) that must allow the key and everything it references.
+    get(service, category, k, { policy = null, raw = false } = {}) {
+      // before the lookup: a denied key fails the same way whether it exists or not
+      checkPolicyKeys(policy, [`${service}:${category}:${k}`]);
+      const v = data?.[service]?.[category]?.[k];
+      if (v == null) throw vaultError(`NOT_FOUND: ${service}:${category}:${k}`, 'NOT_FOUND');
+      const refs = new Set();
+      const value = raw ? String(v) : expand(service, category, k, refs);
+      checkPolicyKeys(policy, [...refs]);
+      audit({
+        command: command ?? 'get',
+        specs: [`${service}:${category}:${k}`],
+        keys: [k],
+        ...(refs.size ? { refs: [...refs].sort() } : {}),
+        ...(policy ? { profile: policy.name } : {}),
+      });
+      return value;
+    },
+
+    // `refs`: resolve ${...} references in the value when it is read; without it the value is plain text.
+    set(service, category, k, value, { note = null, refs = false } = {}) {
+      if (!service || !category || !k) throw vaultError('Expected <service> <category> <KEY>.', 'INVALID');
+      const nameError = checkKeyName(k);
+      if (nameError) throw vaultError(nameError, 'INVALID');
+      if (!value) throw vaultError('Empty value; nothing stored.', 'INVALID');
+      if (note != null && payloadVersion < 2) throw vaultError('Notes need vault payload version 2. Run: dotkc migrate', 'INVALID');
+      if (refs && payloadVersion < 2) throw vaultError('References need vault payload version 2. Run: dotkc migrate', 'INVALID');
+
+      const id = `${service}:${category}:${k}`;
+      const prev = data?.[service]?.[category]?.[k];
+      data[service] ??= {};
+      data[service][category] ??= {};
+      data[service][category][k] = String(value);
+      try {
+        if (refs) expandText(value, service, category, new Set(), [id]);
+      } catch (e) {
+        // a broken reference is refused here rather than when the value is read
+        if (prev != null) data[service][category][k] = prev;
+        else {
+          delete data[service][category][k];
+          if (Object.keys(data[service][category]).length === 0) delete data[service][category];
+          if (Object.keys(data[service]).length === 0) delete data[service];
+        }
+        throw e;
+      }
+      if (note != null) {
+        meta[service] ??= {};
+        meta[service][category] ??= {};
+        const m = { ...meta[service][category][k] };
+        if (note) m.note = note;
+        else delete m.note;
+        meta[service][category][k] = m;
+      }
+      return save(data, { command: command ?? 'set', refs: new Map([[id, Boolean(refs)]]) });
+    },
+
+    // Throws what reading the entry would: INVALID (malformed reference), NOT_FOUND (a
+    // ${dotkc:...} reference to a missing entry) or REFERENCE_CYCLE. For writes that bypass set().
+    checkReferences(service, category, k) {
+      expand(service, category, k);
+    },
+
+    delete(service, category, k) {
+      const cat = data?.[service]?.[category];
+      if (!cat || !(k in cat)) throw vaultError(`NOT_FOUND: ${service}:${category}:${k}`, 'NOT_FOUND');
+      delete cat[k];
+      if (Object.keys(cat).length === 0) {
+        delete data[service][category];
+        if (Object.keys(data[service]).length === 0) delete data[service];
+      }
+      return save(data, { command: command ?? 'delete' });
+    },
+
+    // list() → services, list(service) → categories, list(service, category) → keys; all sorted
+    list(service, category) {
+      const names = (o) => Object.keys(o ?? {}).sort((a, b) => a.localeCompare(b));
+      if (service == null) return names(data);
+      if (category == null) return names(data?.[service]);
+      return names(data?.[service]?.[category]);
+    },
+
+    // case-insensitive substring match on "service category KEY"; never matches values
+    search(query) {
+      const needle = String(query ?? '').toLowerCase();
+      const matches = [];
+      for (const [service, cats] of Object.entries(data ?? {})) {
+        if (!cats || typeof cats !== 'object') continue;
+        for (const [category, kv] of Object.entries(cats ?? {})) {
+          if (!kv || typeof kv !== 'object') continue;
+          for (const keyName of Object.keys(kv)) {
+            const hay = `${service} ${category} ${keyName}`.toLowerCase();
+            if (!hay.includes(needle)) continue;
+            matches.push({ service, category, key: keyName, ...metaFor(service, category, keyName) });
+          }
+        }
+      }
+      return matches.sort((a, b) => `${a.service}:${a.category}:${a.key}`.localeCompare(`${b.service}:${b.category}:${b.key}`));
+    },
+
+    // Entries whose value references `target` directly: "svc:cat:KEY", or a bare KEY (any category).
+    findReferences(target) {
+      const t = String(target ?? '');
+      const matches = [];
+      for (const [service, cats] of Object.entries(data ?? {})) {
+        for (const [category, kv] of Object.entries(cats ?? {})) {
+          for (const [keyName, v] of Object.entries(kv ?? {})) {
+            if (!refsFlag(service, category, keyName)) continue;
+            let refs;
+            try {
+              refs = valueReferences(v, service, category);
+            } catch {
+              continue;
+            }
+            if (!refs.some((r) => r === t || (!t.includes(':') && r.split(':').pop() === t))) continue;
+            matches.push({ service, category, key: keyName, references: refs, ...metaFor(service, category, keyName) });
+          }
+        }
+      }
+      return matches.sort((a, b) => `${a.service}:${a.category}:${a.key}`.localeCompare(`${b.service}:${b.category}:${b.key}`));
+    },
+
+    // Resolve specs (a "a:b,c:d:K" string or an array) to
+    // { specs, keys, env, sources, provenance, refs, expansions, conflicts }:
+    //   sources: env name → "svc:cat:KEY"; provenance: env name → { spec, entry } (the spec that provided it)
+    //   refs: the entries pulled in through references
+    //   expansions: [{ spec, matches: ["svc:cat:KEY", ...] }] per spec
+    //   conflicts: [{ name, candidates: ["svc:cat:KEY", ...], used }] where specs provide different values
+    // Env names follow `=NAME`/`@PREFIX` in specs. Wildcards and globs only pick up env-var-shaped keys.
+    // `onConflict`: 'last' (later specs win), 'first', or 'error' (throws CONFLICT). References in values
+    // are resolved unless `raw`. Missing secrets throw NOT_FOUND (a glob matching nothing only with
+    // `strict`); keys (or references) the `policy` profile does not allow throw POLICY_DENIED.
+    // `audit`: false to skip the audit entry (e.g. redacted output), or fields to add to it.
+    resolveSpecs(input, { audit: auditEntry = {}, policy = null, raw = false, strict = false, onConflict = 'last' } = {}) {
+      if (!CONFLICT_MODES.includes(onConflict)) throw vaultError(`Unknown onConflict: ${onConflict} (expected ${CONFLICT_MODES.join('|')})`, 'INVALID');
+      const parsed = toSpecs(input);
+      const invalid = parsed.find((s) => s.kind === 'invalid');
+      if (invalid) throw vaultError(`Invalid spec: ${invalid.input}`, 'INVALID_SPEC', { spec: invalid.input });
+      const specs = parsed.map(literalCategory);
+      // requested names are checked before anything is looked up, so a denied key or category fails the
+      // same way whether it exists or not (what globs and references match is checked once resolved)
+      checkPolicyKeys(policy, specs.filter((sp) => sp.kind === 'exact').map((sp) => `${sp.service}:${sp.category}:${sp.key}`));
+      checkPolicyCategories(policy, specs.filter((sp) => sp.kind === 'wildcard'));
+
+      const env = {};
+      const sources = {};
+      const provenance = {};
+      const refsOf = {}; // env name -> entries its value references
+      const expansions = [];
+      const conflicts = new Map(); // env name -> { name, candidates, used }
+      let spec;
+      let matches;
+      const inject = (name, service, category, k) => {
+        const entry = `${service}:${category}:${k}`;
+        // values are compared (and returned) with references resolved
+        const entryRefs = new Set();
+        const v = raw ? data[service][category][k] : expand(service, category, k, entryRefs);
+        matches.push(entry);
+        if (name in env) {
+          // the same entry twice (e.g. overlapping globs) or the same value is not a conflict
+          if (sources[name] !== entry && String(env[name]) !== String(v)) {
+            const c = conflicts.get(name) ?? { name, candidates: [sources[name]], used: null };
+            c.candidates.push(entry);
+            conflicts.set(name, c);
+          }
+          if (onConflict === 'first') return;
+        }
+        env[name] = v;
+        sources[name] = entry;
+        provenance[name] = { spec, entry };
+        refsOf[name] = entryRefs;
+      };
+      for (const sp of specs) {
+        spec = specToString(sp);
+        matches = [];
+        expansions.push({ spec, matches });
+        if (sp.kind === 'exact') {
+          const v = data?.[sp.service]?.[sp.category]?.[sp.key];
+          if (v == null) throw vaultError(`Missing secret: ${sp.service}:${sp.category}:${sp.key}`, 'NOT_FOUND');
+          inject(sp.as ?? sp.key, sp.service, sp.category, sp.key);
+          continue;
+        }
+
+        if (sp.kind === 'glob') {
+          const re = { service: globToRegExp(sp.service), category: globToRegExp(sp.category), key: sp.key == null ? null : globToRegExp(sp.key) };
+          const sorted = (o) => Object.keys(o ?? {}).sort((a, b) => a.localeCompare(b));
+          for (const service of sorted(data).filter((x) => re.service.test(x))) {
+            for (const category of sorted(data[service]).filter((x) => re.category.test(x))) {
+              for (const k of sorted(data[service][category])) {
+                if (re.key && !re.key.test(k)) continue;
+                // like wildcards, patterns only pick up env-var-shaped keys (unless the key is spelled out)
+                if (!ENV_KEY_RE.test(k) && (sp.key == null || sp.key.includes('*'))) continue;
+                inject(`${sp.prefix ?? ''}${k}`, service, category, k);
+              }
+            }
+          }
+          if (matches.length === 0 && strict) throw vaultError(`No secrets matched: ${spec}`, 'NOT_FOUND');
+          continue;
+        }
+
+        const cat = data?.[sp.service]?.[sp.category] ?? null;
+        if (!cat || Object.keys(cat).length === 0) throw vaultError(`No secrets matched: ${sp.service}:${sp.category}`, 'NOT_FOUND');
+        for (const k of Object.keys(cat)) {
+          if (!ENV_KEY_RE.test(k)) continue;
+          inject(`${sp.prefix ?? ''}${k}`, sp.service, sp.category, k);
+        }
+      }
+
+      for (const c of conflicts.values()) c.used = sources[c.name];
+      if (onConflict === 'error' && conflicts.size > 0) {
+        const lines = [...conflicts.values()].map((c) => `  ${c.name}: ${c.candidates.join(', ')}`);
+        throw vaultError(`Conflicting values for:\n${lines.join('\n')}`, 'CONFLICT', { conflicts: [...conflicts.values()] });
+      }
+
+      const keys = Object.keys(env).sort((a, b) => a.localeCompare(b));
+      const refs = new Set(keys.flatMap((k) => [...refsOf[k]]));
+      checkPolicyKeys(policy, [...keys.map((k) => sources[k]), ...refs]);
+      if (auditEntry !== false) {
+        audit({
+          command: command ?? 'resolveSpecs',
+          specs: specs.map(specToString),
+          keys,
+          ...(refs.size ? { refs: [...refs].sort() } : {}),
+          ...(policy ? { profile: policy.name } : {}),
+          ...auditEntry,
+        });
+      }
+      return { specs, keys, env, sources, provenance, refs: [...refs].sort(), expansions, conflicts: [...conflicts.values()] };
+    },
+
+    close() {
+      lock?.release();
+    },
+  };
+}
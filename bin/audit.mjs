@@ -0,0 +1,147 @@
+// Per-machine access audit log for dotkc.
+//
+// One line per event, each encrypted (AES-256-GCM) with a key derived from the local vault key
+// (or, on machines without a key file, the local identity). The log lives next to the key
+// (~/.dotkc/audit.log by default) and is never synced. Entries hold key names, never values.
+
+import crypto from 'node:crypto';
+import { execFileSync } from 'node:child_process';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+import { aesGcmDecrypt, aesGcmEncrypt, atomicWriteFile, expandHome, parseDuration } from './vault.mjs';
+
+export function auditLogPath() {
+  return expandHome(process.env.DOTKC_AUDIT_LOG_PATH ?? path.join(os.homedir(), '.dotkc', 'audit.log'));
+}
+
+export function auditEnabled() {
+  return process.env.DOTKC_AUDIT !== '0';
+}
+
+function deriveAuditKey(ikm) {
+  return Buffer.from(crypto.hkdfSync('sha256', ikm, Buffer.alloc(0), 'dotkc-audit-log', 32));
+}
+
+// Candidate keys, preferred first: the vault key file, then the identity.
+function auditKeys({ key = null, identity = null } = {}) {
+  const out = [];
+  if (key) out.push(deriveAuditKey(key));
+  if (identity) out.push(deriveAuditKey(Buffer.from(identity.privateKey, 'base64url')));
+  return out;
+}
+
+// Executable name only: the parent's arguments may contain anything.
+function parentProcess() {
+  const pid = process.ppid;
+  let command = null;
+  try {
+    command = execFileSync('ps', ['-o', 'comm=', '-p', String(pid)], { encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'] }).trim() || null;
+  } catch {
+    // best-effort
+  }
+  return { pid, command };
+}
+
+// entry: { command, specs?, keys?, ...extra }. Throws if the entry cannot be written.
+export function appendAuditEntry(logPath, creds, { command, specs = [], keys = [], ...extra }) {
+  const [k] = auditKeys(creds);
+  if (!k) throw new Error('No vault key or identity to encrypt the audit log with');
+
+  const entry = {
+    ts: new Date().toISOString(),
+    command,
+    specs,
+    keys,
+    ...extra,
+    parent: parentProcess(),
+    cwd: process.cwd(),
+    pid: process.pid,
+  };
+  const line = JSON.stringify({ v: 1, ...aesGcmEncrypt(k, Buffer.from(JSON.stringify(entry), 'utf8')) }) + '\n';
+
+  fs.mkdirSync(path.dirname(logPath), { recursive: true });
+  fs.appendFileSync(logPath, line, { mode: 0o600 });
+}
+
+// Returns { entries, unreadable }; lines that no local key can decrypt (e.g. written before a key
+// rotation) are counted, not returned.
+export function readAuditLog(logPath, creds) {
+  let raw;
+  try {
+    raw = fs.readFileSync(logPath, 'utf8');
+  } catch {
+    return { entries: [], unreadable: 0 };
+  }
+
+  const keys = auditKeys(creds);
+  const entries = [];
+  let unreadable = 0;
+  for (const line of raw.split('\n')) {
+    if (!line.trim()) continue;
+    let entry = null;
+    try {
+      const rec = JSON.parse(line);
+      for (const k of keys) {
+        try {
+          entry = JSON.parse(aesGcmDecrypt(k, rec).toString('utf8'));
+          break;
+        } catch {
+          // try the next key
+        }
+      }
+    } catch {
+      // torn line from an interrupted append
+    }
+    if (entry) entries.push(entry);
+    else unreadable++;
+  }
+  return { entries, unreadable };
+}
+
+// Re-encrypt the lines that decrypt with `from` (e.g. the pre-rotation key) under `to`; other lines
+// (identity-encrypted, torn) are kept verbatim. Returns the number of re-encrypted lines.
+export function reencryptAuditLog(logPath, from, to) {
+  let raw;
+  try {
+    raw = fs.readFileSync(logPath, 'utf8');
+  } catch {
+    return 0;
+  }
+
+  const fromKeys = auditKeys(from);
+  const [toKey] = auditKeys(to);
+  if (!toKey) throw new Error('No vault key or identity to encrypt the audit log with');
+  let count = 0;
+  const lines = raw.split('\n').map((line) => {
+    if (!line.trim()) return line;
+    let rec;
+    try {
+      rec = JSON.parse(line);
+    } catch {
+      return line;
+    }
+    for (const k of fromKeys) {
+      let plain;
+      try {
+        plain = aesGcmDecrypt(k, rec);
+      } catch {
+        continue;
+      }
+      count++;
+      return JSON.stringify({ v: 1, ...aesGcmEncrypt(toKey, plain) });
+    }
+    return line;
+  });
+  if (count) atomicWriteFile(logPath, Buffer.from(lines.join('\n'), 'utf8'), 0o600);
+  return count;
+}
+
+// Parse --since/--until: an ISO date/time or a relative age like 30m, 24h, 7d, 2w.
+export function parseAuditTime(s) {
+  const ms = parseDuration(s);
+  if (ms != null) return new Date(Date.now() - ms);
+  const t = Date.parse(String(s ?? ''));
+  return Number.isNaN(t) ? null : new Date(t);
+}
@@ -6,18 +6,40 @@
 export function getCommandsReference() {
   return [
     { name: 'init', usage: 'dotkc init [--vault <path>] [--key <path>]', desc: 'Initialize vault + local key (prompts before overwriting).' },
-    { name: 'status', usage: 'dotkc status [--vault <path>] [--key <path>]', desc: 'Print JSON status (paths + canDecrypt).' },
+    { name: 'status', usage: 'dotkc status [--vault <path>] [--key <path>]', desc: 'Print JSON status (paths + keyWrapped + canDecrypt).' },
     { name: 'doctor', usage: 'dotkc doctor [--vault <path>] [--key <path>] [--json]', desc: 'Run diagnostics and suggest fixes.' },
     { name: 'key install', usage: 'cat ~/.dotkc/key | dotkc key install [--key <path>] [--force]', desc: 'Install key from stdin (refuses overwrite unless --force).' },
-    { name: 'set', usage: 'dotkc set <service> <category> <KEY> [value|-]', desc: 'Set a secret (prompt hidden if value omitted).' },
-    { name: 'get', usage: 'dotkc get <service> <category> <KEY>', desc: 'Print secret value to stdout.' },
+    { name: 'key protect', usage: 'dotkc key protect [--key <path>]', desc: 'Wrap the key file with a passphrase (scrypt).' },
+    { name: 'key unprotect', usage: 'dotkc key unprotect [--key <path>]', desc: 'Store the key file unwrapped again (prompts for passphrase).' },
+    { name: 'key rotate', usage: 'dotkc key rotate [--vault <path>] [--key <path>]', desc: 'Re-encrypt the vault under a new key (old key kept next to the key file).' },
+    { name: 'recipient pubkey', usage: 'dotkc recipient pubkey [--identity <path>]', desc: "Print this machine's X25519 public key (creates the identity if missing)." },
+    { name: 'recipient add', usage: 'dotkc recipient add <name> <publicKey> | dotkc recipient add [name] --self', desc: 'Wrap the vault data key for a machine (upgrades the vault to format version 2).' },
+    { name: 'recipient list', usage: 'dotkc recipient list [--json]', desc: 'List vault recipients (no key material).' },
+    { name: 'recipient remove', usage: 'dotkc recipient remove <name|id> [--force]', desc: 'Revoke a recipient (re-generates the data key for the others).' },
+    { name: 'migrate', usage: 'dotkc migrate', desc: 'Upgrade the vault payload to the latest version (per-secret metadata).' },
+    { name: 'backup list', usage: 'dotkc backup list [--json]', desc: 'List vault backups (timestamp, size, whether they decrypt).' },
+    { name: 'backup diff', usage: 'dotkc backup diff <backup> [--json]', desc: 'Show keys added/removed/changed since a backup (no values).' },
+    { name: 'backup restore', usage: 'dotkc backup restore <backup> [--force] [--yes] [--restore-recipients]', desc: 'Restore a backup (backs up the current vault first).' },
+    { name: 'reconcile', usage: 'dotkc reconcile [--dry-run] [--json] [--profile <name>]', desc: 'Merge sync-tool conflict copies of the vault (e.g. "dotkc 2.vault") and archive them.' },
+    { name: 'audit', usage: 'dotkc audit [--secret <KEY>] [--since <time>] [--until <time>] [--command <name>] [--limit <n>] [--json]', desc: 'Show the local encrypted access log (get, unsafe exports/inspects, run, and every vault change).' },
+    { name: 'agent start', usage: 'eval "$(dotkc agent start [--ttl <duration>] [--socket <path>])"', desc: 'Start a background agent that keeps the unlocked key/vault for a TTL (default 15m); prints export DOTKC_AGENT_SOCK=…' },
+    { name: 'agent status', usage: 'dotkc agent status [--json]', desc: 'Show the running agent (pid, expiry, unlocked key/identity).' },
+    { name: 'agent stop', usage: 'dotkc agent stop', desc: 'Stop the agent (it wipes the key).' },
+    { name: 'set', usage: 'dotkc set <service> <category> <KEY> [value|-] [--note <text>] [--refs]', desc: 'Set a secret (prompt hidden if value omitted).' },
+    { name: 'get', usage: 'dotkc get <service> <category> <KEY> [--raw] [--profile <name>]', desc: 'Print secret value to stdout (references resolved unless --raw).' },
     { name: 'del', usage: 'dotkc del <service> <category> <KEY>', desc: 'Delete a secret.' },
-    { name: 'list', usage: 'dotkc list <service> [category]', desc: 'List categories or keys.' },
-    { name: 'search', usage: 'dotkc search <query> [--json]', desc: 'Search keys by substring (no values).' },
-    { name: 'export', usage: 'dotkc export <spec>[,<spec>...] [--unsafe-values]', desc: 'Export dotenv lines (redacted by default).' },
-    { name: 'copy', usage: 'dotkc copy <srcService>:<srcCategory> <dstService>:<dstCategory> [--force]', desc: 'Copy a category.' },
-    { name: 'move', usage: 'dotkc move <srcService>:<srcCategory> <dstService>:<dstCategory> [--force]', desc: 'Move a category.' },
-    { name: 'import', usage: 'dotkc import <service> <category> [dotenv_file]', desc: 'Interactive import from .env.' },
-    { name: 'run', usage: 'dotkc run [options] <spec>[,<spec>...] [-- <cmd> ...]', desc: 'Inspect (redacted) or execute with injected env.' },
+    { name: 'history', usage: 'dotkc history <service> <category> <KEY> [--json] [--profile <name>]', desc: 'List previous values of a secret (redacted).' },
+    { name: 'rollback', usage: 'dotkc rollback <service> <category> <KEY> --to <n> [--profile <name>]', desc: 'Restore version n from history (1 = previous value).' },
+    { name: 'list', usage: 'dotkc list <service> [category] [--long]', desc: 'List categories or keys (--long adds metadata, no values).' },
+    { name: 'search', usage: 'dotkc search <query> [--json] | dotkc search --refs <KEY|service:category:KEY> [--json]', desc: 'Search keys by substring, or find entries referencing a key (no values; --json includes metadata).' },
+    { name: 'export', usage: 'dotkc export <spec>[,<spec>...] [--format dotenv|json|shell|docker-env|k8s-secret|github-env|systemd] [--out <file>] [--unsafe-values] [--raw] [--strict] [--on-conflict=error|first|last] [--json [--provenance]] [--profile <name>]', desc: 'Export dotenv lines or another format (redacted by default; --out writes 0600).' },
+    { name: 'render', usage: 'dotkc render <template> (--out <file> | --check) [--escape none|json|yaml] [--profile <name>]', desc: 'Fill ${dotkc:service:category:KEY} placeholders in a config file template (written 0600; --check only validates).' },
+    { name: 'diff', usage: 'dotkc diff <a> <b> [--keys-only] [--raw] [--json] [--other-key <path>] [--other-identity <path>] [--profile <name>]', desc: 'Compare keys of categories, dotenv files or other vaults (values via salted hashes; exit 1 on drift).' },
+    { name: 'copy', usage: 'dotkc copy <srcService>:<srcCategory>[:<KEY>] <dstService>:<dstCategory>[:<NEW_KEY>] [--merge] [--force] [--profile <name>]', desc: 'Copy a category or key (--merge adds missing keys).' },
+    { name: 'move', usage: 'dotkc move <srcService>:<srcCategory>[:<KEY>] <dstService>:<dstCategory>[:<NEW_KEY>] [--merge] [--force] [--profile <name>]', desc: 'Move a category or key (--merge adds missing keys).' },
+    { name: 'rename', usage: 'dotkc rename <service>[:<category>[:<KEY>]] <newName> [--profile <name>]', desc: 'Rename a service, category or key.' },
+    { name: 'import', usage: 'dotkc import <service> <category> [file] [--format dotenv|json|yaml|shell|k8s-secret] [--all | --keys A,B] [--exclude A,B] [--no-overwrite] [--dry-run] [--json] [--profile <name>]', desc: 'Import keys from a dotenv/JSON/YAML/shell file or Kubernetes Secret (interactive unless --all/--keys).' },
+    { name: 'migrate-from', usage: 'dotkc migrate-from <1password|bitwarden|keepass|pass> <export> [--map-service T] [--map-category T] [--map-key T] [--all-fields] [--exclude A,B] [--no-overwrite] [--dry-run | --yes] [--json] [--profile <name>]', desc: 'Migrate secrets from a 1Password, Bitwarden, KeePass or pass export (preview, then one save).' },
+    { name: 'run', usage: 'dotkc run [options] <spec>[,<spec>...] [-- <cmd> ...]', desc: 'Inspect (redacted) or execute with injected env (specs: svc:cat[@PREFIX] or svc:cat:KEY[=NAME], * globs in any segment; --profile enforces the policy file).' },
   ];
 }
@@ -0,0 +1,19 @@
+// `node -r dotkc/config app.js`: a CommonJS preload cannot await the ESM loader, so resolve the
+// specs in a child process (see config.mjs) and copy the result into process.env.
+
+const { execFileSync } = require('node:child_process');
+const path = require('node:path');
+
+let out;
+try {
+  out = execFileSync(process.execPath, [path.join(__dirname, 'config.mjs'), '--emit-json', process.argv[1] ?? ''], {
+    // stderr (and the tty, for errors) stays with the app; values only travel through the pipe
+    stdio: ['ignore', 'pipe', 'inherit'],
+    maxBuffer: 64 * 1024 * 1024,
+  });
+} catch (e) {
+  // the child already explained the failure on stderr
+  process.exit(typeof e.status === 'number' ? e.status : 2);
+}
+
+Object.assign(process.env, JSON.parse(out.toString('utf8')));
@@ -0,0 +1,51 @@
+// Runtime loader: `import 'dotkc/config'` or `node --import dotkc/config app.js` (`node -r dotkc/config`
+// goes through config.cjs). Like `dotkc run`, it fills process.env from the vault, vault values winning.
+//
+// Specs come from DOTKC_SPECS ("svc:cat,svc:cat:KEY") and/or DOTKC_SPEC_FILE (same format as
+// `dotkc run --spec-file`). The policy file's default profile applies, as it does for `dotkc run`.
+// A missing secret ends the process with exit code 3 (NOT_FOUND), a policy denial with 4, any other
+// failure with 2. Only key names are ever printed.
+
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+import { openVault, readSpecFile } from './api.mjs';
+import { resolvePolicyProfile } from './policy.mjs';
+
+function fail(e) {
+  console.error(`dotkc/config: ${e?.message ?? String(e)}`);
+  process.exit({ NOT_FOUND: 3, POLICY_DENIED: 4 }[e?.code] ?? 2);
+}
+
+async function resolveConfig({ env = process.env, exec = process.argv[1] } = {}) {
+  const specs = [];
+  if (env.DOTKC_SPEC_FILE) specs.push(...readSpecFile(env.DOTKC_SPEC_FILE));
+  if (env.DOTKC_SPECS) specs.push(...env.DOTKC_SPECS.split(','));
+  if (specs.length === 0) {
+    const err = new Error('No specs: set DOTKC_SPECS (e.g. fly.io:acme-app-dev) or DOTKC_SPEC_FILE');
+    err.code = 'INVALID';
+    throw err;
+  }
+
+  const policy = resolvePolicyProfile();
+  // a preload cannot prompt: protected keys need an identity that is a recipient of the vault
+  const vault = await openVault({ command: 'config' });
+  return vault.resolveSpecs(specs, { audit: { exec: exec ? path.basename(exec) : null }, policy });
+}
+
+// Internal: config.cjs runs this file as a child process and reads the env as JSON from stdout.
+if (process.argv[1] === fileURLToPath(import.meta.url) && process.argv[2] === '--emit-json') {
+  try {
+    const { env } = await resolveConfig({ exec: process.argv[3] });
+    process.stdout.write(JSON.stringify(env));
+  } catch (e) {
+    fail(e);
+  }
+} else {
+  try {
+    const { env } = await resolveConfig();
+    Object.assign(process.env, env);
+  } catch (e) {
+    fail(e);
+  }
+}
@@ -6,13 +6,16 @@
  *   service (SaaS) + category (project/env) + key (ENV name)
  * Stored in the encrypted vault as:
  *   data[service][category][KEY] = value
+ * (payload version 2 keeps per-secret metadata next to each value; see bin/vault.mjs)
  */
 
 import dotenv from 'dotenv';
 import { spawn } from 'node:child_process';
+import crypto from 'node:crypto';
 import fs from 'node:fs';
 import path from 'node:path';
 import readline from 'node:readline';
+import { fileURLToPath } from 'node:url';
 
 // Version is sourced from package.json (keeps CLI output in sync with npm package version)
 const PKG_PATH = new URL('../package.json', import.meta.url);
@@ -20,18 +23,50 @@ const PKG = JSON.parse(fs.readFileSync(PKG_PATH, 'utf8'));
 const VERSION = PKG.version;
 
 import {
-  defaultVaultKeyPath,
-  defaultVaultPath,
+  acquireVaultLock,
+  addSealRecipient,
+  createRecipientSeal,
+  ensureIdentityFile,
   ensureKeyFile,
   expandHome,
   generateVaultKey,
+  backupTimestamp,
+  archiveConflictCopy,
+  diffData,
+  listBackups,
+  listConflictCopies,
+  listTempFiles,
+  parseDuration,
+  listSealRecipients,
+  LATEST_PAYLOAD_VERSION,
   loadVault,
-  readVaultKey,
+  parseKeyMaterial,
+  parsePublicKey,
+  readIdentity,
+  readKeyFile,
+  readVaultLock,
+  readVaultRecipients,
+  removeSealRecipient,
+  restoreBackup,
+  retireKeyFile,
+  keepVaultWithRetiredKey,
   saveVault,
   getVaultFingerprint,
+  globToRegExp,
+  atomicWriteFile,
+  writeKeyFile,
 } from './vault.mjs';
 
+import { agentRequest, agentSocketPath, agentUnlockKey, DEFAULT_AGENT_TTL_MS, MAX_AGENT_TTL_MS } from './agent.mjs';
+import { checkKeyName, CONFLICT_MODES, hasReferenceSyntax, openVault, parseSpec, parseSvcCat, readKey, readSpecFile, redact, resolveVaultPaths, specToString } from './api.mjs';
+import { appendAuditEntry, auditEnabled, auditLogPath, parseAuditTime, readAuditLog, reencryptAuditLog } from './audit.mjs';
 import { getCommandsReference } from './commands.mjs';
+import { createMasker, MASK_IDLE_FLUSH_MS } from './mask.mjs';
+import { checkPolicyCategories, checkPolicyExec, checkPolicyKeys, checkPolicyUnsafeValues, resolvePolicyProfile } from './policy.mjs';
+import { EXPORT_FORMATS, formatEnv } from './formats.mjs';
+import { IMPORT_FORMATS, importFormatFor, parseImportFile } from './importers.mjs';
+import { checkMapping, DEFAULT_MAPPING, mapRecords, MIGRATE_TOOLS, readExport } from './migrators.mjs';
+import { ESCAPE_MODES, escapeModeFor, parseTemplate, renderTemplate } from './render.mjs';
 
 let GLOBAL_FORMAT = null;
 
@@ -72,21 +107,56 @@ Usage:
   dotkc doctor [--vault <path>] [--key <path>] [--json]
 
   dotkc key install [--key <path>] [--force]
+  dotkc key protect [--key <path>]
+  dotkc key unprotect [--key <path>]
+  dotkc key rotate [--vault <path>] [--key <path>]
 
-  dotkc set <service> <category> <KEY> [value|-]
-  dotkc get <service> <category> <KEY>
+  dotkc recipient pubkey
+  dotkc recipient add <name> <publicKey> | dotkc recipient add [name] --self
+  dotkc recipient list [--json]
+  dotkc recipient remove <name|id> [--force]
+
+  dotkc migrate
+
+  dotkc backup list [--json]
+  dotkc backup diff <backup> [--json]
+  dotkc backup restore <backup> [--force] [--yes] [--restore-recipients]
+  dotkc reconcile [--dry-run] [--json] [--profile <name>]
+  dotkc audit [--secret <KEY>] [--since <time>] [--until <time>] [--command <name>] [--limit <n>] [--json]
+
+  dotkc agent start [--ttl <duration>] [--socket <path>]
+  dotkc agent status [--json]
+  dotkc agent stop
+
+  dotkc set <service> <category> <KEY> [value|-] [--note <text>] [--refs]
+  dotkc get <service> <category> <KEY> [--raw] [--profile <name>]
   dotkc del <service> <category> <KEY>
+  dotkc history <service> <category> <KEY> [--json] [--profile <name>]
+  dotkc rollback <service> <category> <KEY> --to <n> [--profile <name>]
 
-  dotkc list <service> [category]
+  dotkc list <service> [category] [--long]
   dotkc search <query> [--json]
-  dotkc export <spec>[,<spec>...] [--unsafe-values]
-  dotkc copy <srcService>:<srcCategory> <dstService>:<dstCategory> [--force]
-  dotkc move <srcService>:<srcCategory> <dstService>:<dstCategory> [--force]
-  dotkc import <service> <category> [dotenv_file]
+  dotkc search --refs <KEY|service:category:KEY> [--json]
+  dotkc export <spec>[,<spec>...] [--format <name>] [--out <file>] [--unsafe-values] [--raw] [--strict]
+               [--on-conflict=error|first|last] [--json [--provenance]] [--profile <name>]
+               (formats: dotenv, json, shell, docker-env, k8s-secret [--name <name>], github-env, systemd)
+  dotkc render <template> --out <file> [--escape none|json|yaml] [--profile <name>]
+  dotkc render <template> --check [--escape none|json|yaml] [--profile <name>]
+  dotkc copy <srcService>:<srcCategory> <dstService>:<dstCategory> [--merge] [--force] [--profile <name>]
+  dotkc copy <srcService>:<srcCategory>:<KEY> <dstService>:<dstCategory>[:<NEW_KEY>] [--force] [--profile <name>]
+  dotkc move <srcService>:<srcCategory>[:<KEY>] <dstService>:<dstCategory>[:<NEW_KEY>] [--merge] [--force] [--profile <name>]
+  dotkc rename <service>[:<category>[:<KEY>]] <newName> [--profile <name>]
+  dotkc import <service> <category> [file] [--format dotenv|json|yaml|shell|k8s-secret]
+               [--all | --keys A,B] [--exclude A,B] [--no-overwrite] [--dry-run] [--json] [--profile <name>]
+  dotkc diff <a> <b> [--keys-only] [--raw] [--json] [--other-key <path>] [--other-identity <path>] [--profile <name>]
+               (a/b: <service>:<category>, a dotenv/JSON/YAML file, or <vault-file>#<service>:<category>)
+  dotkc migrate-from <1password|bitwarden|keepass|pass> <export> [--map-service T] [--map-category T] [--map-key T]
+               [--all-fields] [--exclude A,B] [--no-overwrite] [--dry-run | --yes] [--json] [--profile <name>]
 
   # Run a command with secrets injected:
-  #  - exact: <service>:<category>:<KEY>
-  #  - wildcard: <service>:<category>
+  #  - exact: <service>:<category>:<KEY>   (inject as NAME: <service>:<category>:<KEY>=<NAME>)
+  #  - wildcard: <service>:<category>      (prefix every key: <service>:<category>@<PREFIX>)
+  #  - glob: * in any segment, e.g. fly.io:*-dev or vercel:acme-app-dev:CLERK_*
   dotkc run [options] <spec>[,<spec>...] -- <cmd> [args...]
   dotkc run [options] <spec>[,<spec>...]
 
@@ -96,9 +166,11 @@ Usage:
 Vault options:
   --vault <path>          Vault file path (default: DOTKC_VAULT_PATH or iCloud Drive default)
   --key <path>            Key file path (default: DOTKC_VAULT_KEY_PATH or ~/.dotkc/key)
+  --identity <path>       Per-machine identity (default: DOTKC_IDENTITY_PATH or ~/.dotkc/identity)
 
 Run options (vault):
   --json                  Inspect mode: output JSON instead of KEY=VALUE lines
+  --provenance            With --json: also print where each variable came from and the conflicts (also for export)
   --unsafe-values         Inspect mode: print full secret values (unsafe)
   --format <name>         Inspect mode: structured output format (e.g. openclaw)
 
@@ -108,6 +180,11 @@ Run options (vault):
   --dotenv-override       Allow dotenv to override existing process.env
 
   --spec-file <path>      Load specs from a file (one per line; supports comments with #)
+  --mask-output           Exec mode: redact injected values (also base64/URL-encoded) in the command's output
+  --profile <name>        Enforce a profile from the policy file (~/.dotkc/policy.json; also for get/export)
+  --strict                Fail when a glob spec matches nothing (also for export)
+  --on-conflict <mode>    When specs/dotenv/the environment set a name differently: last (default; vault wins), first, error
+  --raw                   Do not resolve \${KEY} / \${dotkc:service:category:KEY} references (also for get/export)
 
 Examples:
   dotkc init
@@ -132,6 +209,7 @@ Vault backend notes:
   - Override with: DOTKC_VAULT_PATH=/path/to/dotkc.vault
 - Key file defaults to: ~/.dotkc/key (chmod 600). Copy this key to any machine that should decrypt the vault.
   - Override with: DOTKC_VAULT_KEY_PATH=/path/to/key
+  - Optional: wrap it with a passphrase (scrypt) via \`dotkc key protect\`; vault commands then prompt for it.
 - Vault uses strong encryption (AES-256-GCM) with a random 32-byte key.
 `;
   if (GLOBAL_FORMAT === 'openclaw') {
@@ -194,7 +272,7 @@ function renderPicker({ title, hint, items, cursor, selected }) {
 }
 
 async function pickMany({ title, hint, items, initiallySelected = null }) {
-  if (!process.stdin.isTTY) die('Interactive import requires a TTY.', 2);
+  if (!process.stdin.isTTY) die('Interactive selection requires a TTY.', 2);
 
   let cursor = 0;
   const selected = new Set(initiallySelected ?? items);
@@ -259,25 +337,6 @@ async function pickMany({ title, hint, items, initiallySelected = null }) {
   });
 }
 
-function parseSpec(s) {
-  const parts = String(s ?? '').split(':');
-  if (parts.length < 2) return { kind: 'invalid', input: String(s ?? '') };
-  if (parts.length === 2) {
-    const [service, category] = parts;
-    return { kind: 'wildcard', service, category };
-  }
-  const key = parts.pop();
-  const category = parts.pop();
-  const service = parts.join(':');
-  return { kind: 'exact', service, category, key };
-}
-
-function parseSvcCat(s) {
-  const sp = parseSpec(s);
-  if (sp.kind !== 'wildcard') return null;
-  return { service: sp.service, category: sp.category };
-}
-
 function parseGlobalArgs(argvIn) {
   const argv = [...argvIn];
   let format = null;
@@ -318,24 +377,141 @@ if (argv[0] === '--version' || argv[0] === '-v' || argv[0] === 'version') {
 
 const cmd = argv[0];
 
-function parseVaultKeyString(s) {
-  const m = String(s ?? '').trim().match(/([A-Za-z0-9+/=]{40,})/);
-  if (!m) return null;
-  const b = Buffer.from(m[1], 'base64');
-  if (b.length !== 32) return null;
-  return b;
+// Commands that operate on the encrypted vault
+// Commands that modify the vault hold the vault lock for their whole load-modify-save cycle
+function isMutatingCommand(sub, args) {
+  if (['init', 'set', 'del', 'copy', 'move', 'rename', 'import', 'migrate', 'rollback'].includes(sub)) return true;
+  if (sub === 'recipient') return args[0] === 'add' || args[0] === 'remove';
+  if (sub === 'backup') return args[0] === 'restore';
+  if (sub === 'reconcile' || sub === 'migrate-from') return !args.includes('--dry-run');
+  return false;
 }
 
-// Commands that operate on the encrypted vault
-const VAULT_COMMANDS = new Set(['init', 'status', 'doctor', 'set', 'get', 'del', 'list', 'search', 'export', 'copy', 'move', 'import', 'run']);
+async function lockVault(vaultPath, command) {
+  try {
+    const lock = await acquireVaultLock(vaultPath, { command });
+    process.on('exit', () => lock.release());
+  } catch (e) {
+    die(e?.message ?? String(e), 2);
+  }
+}
+
+// Record an access/mutation in the local audit log. Fails closed: a read that cannot be logged
+// does not happen.
+function audit(creds, entry) {
+  if (!auditEnabled()) return;
+  try {
+    appendAuditEntry(auditLogPath(), creds, entry);
+  } catch (e) {
+    die(`Failed to write audit log: ${auditLogPath()}\n${e?.message ?? String(e)}\nFix the log file (or set DOTKC_AUDIT=0 to disable auditing).`, 2);
+  }
+}
+
+const VAULT_COMMANDS = new Set(['init', 'status', 'doctor', 'set', 'get', 'del', 'list', 'search', 'export', 'copy', 'move', 'import', 'run', 'recipient', 'migrate', 'history', 'rollback', 'backup', 'reconcile', 'audit', 'agent', 'render', 'migrate-from', 'diff', 'rename']);
+
+function vaultPathsFromEnvOrArgs({ vaultArg, keyArg, identityArg } = {}) {
+  return resolveVaultPaths({ vaultPath: vaultArg, keyPath: keyArg, identityPath: identityArg });
+}
+
+// Library errors carry a code; NOT_FOUND and POLICY_DENIED keep their own exit codes.
+function dieWith(e) {
+  const code = { NOT_FOUND: 3, POLICY_DENIED: 4 }[e?.code] ?? 2;
+  die(e?.message ?? String(e), code);
+}
+
+// Glob specs that matched nothing (an error only with --strict).
+function unmatchedPatterns(specs, expansions) {
+  return expansions.filter((e, i) => specs[i].kind === 'glob' && e.matches.length === 0).map((e) => e.spec);
+}
+
+// `run --dotenv`: a dotenv file's variables into `vars` (name → { value, path }). Names already set
+// (inherited, or by an earlier file) are kept unless `override`. Missing files are skipped.
+function loadDotenvIntoEnv(vars, fp, override) {
+  if (!fs.existsSync(fp)) return;
+  for (const [k, value] of Object.entries(dotenv.parse(fs.readFileSync(fp, 'utf8')))) {
+    if (!override && (k in vars || k in process.env)) continue;
+    vars[k] = { value, path: fp };
+  }
+}
+
+// --on-conflict=<mode> or --on-conflict <mode> at args[i]: { mode, i } (i: the last arg used), else null.
+function takeOnConflictArg(a, next, i) {
+  if (a.startsWith('--on-conflict=')) return { mode: a.slice('--on-conflict='.length), i };
+  if (a === '--on-conflict') return { mode: next, i: i + 1 };
+  return null;
+}
 
-function vaultPathsFromEnvOrArgs({ vaultArg, keyArg } = {}) {
-  const vaultPath = expandHome(vaultArg ?? process.env.DOTKC_VAULT_PATH ?? defaultVaultPath());
-  const keyPath = expandHome(keyArg ?? process.env.DOTKC_VAULT_KEY_PATH ?? defaultVaultKeyPath());
-  return { vaultPath, keyPath };
+function checkOnConflict(mode) {
+  if (!CONFLICT_MODES.includes(mode)) die(`--on-conflict must be one of: ${CONFLICT_MODES.join(', ')}`, 2);
+  return mode;
 }
 
-async function ensureVaultReady({ vaultPath, keyPath, allowOverwrite = false } = {}) {
+// Where a variable came from, as shown in conflicts.
+function provenanceLabel(p) {
+  if (p.source === 'vault') return p.entry;
+  if (p.source === 'dotenv') return p.path;
+  return 'inherited environment';
+}
+
+// `run --json` / `export --json`: the plain env object ({ env, expansions } for glob specs);
+// --provenance adds where each variable came from and the conflicts.
+function jsonShape(env, { specs, withProvenance, provenance, expansions, conflicts }) {
+  if (withProvenance) return { env, provenance, expansions, conflicts };
+  return specs.some(sp => sp.kind === 'glob') ? { env, expansions } : env;
+}
+
+function conflictWarnings(conflicts) {
+  return conflicts.map(c => `Conflicting values for ${c.name}: using ${c.used} (also: ${c.candidates.filter(x => x !== c.used).join(', ')})`);
+}
+
+// The policy profile for get/export/run: --profile, else the policy file's default (null: unrestricted).
+function policyProfile(name) {
+  try {
+    return resolvePolicyProfile(name);
+  } catch (e) {
+    dieWith(e);
+  }
+}
+
+// Commands besides get/export/run/render that read, compare or move stored values: the profile must
+// allow every entry ("svc:cat:KEY") they touch. `categories` ({ service, category }) are checked the same
+// way before their keys are looked up, as `run` does for whole-category specs.
+function enforcePolicy(profile, ids, { categories = [] } = {}) {
+  try {
+    checkPolicyCategories(profile, categories);
+    checkPolicyKeys(profile, ids);
+  } catch (e) {
+    dieWith(e);
+  }
+}
+
+// Pull `--profile <name>` out of a command's args.
+function takeProfileArg(args) {
+  const i = args.indexOf('--profile');
+  if (i === -1) return { profile: policyProfile(null), rest: args };
+  const name = args[i + 1];
+  if (!name || name.startsWith('--')) die('Missing value for --profile', 2);
+  return { profile: policyProfile(name), rest: [...args.slice(0, i), ...args.slice(i + 2)] };
+}
+
+// Read the key file, prompting for the passphrase if it is wrapped.
+// Returns null if the key file is missing or invalid.
+const promptPassphrase = (keyPath) => promptHidden(`Passphrase for ${keyPath}: `, { output: process.stderr });
+
+async function unlockVaultKey(keyPath) {
+  // a running `dotkc agent` that holds this key saves the prompt
+  if (process.env.DOTKC_AGENT_SOCK) {
+    const res = await agentUnlockKey(agentSocketPath(), keyPath).catch(() => null);
+    if (res?.key) return res.key;
+  }
+  try {
+    return await readKey(keyPath, { passphrase: promptPassphrase });
+  } catch (e) {
+    die(e?.message ?? String(e), 2);
+  }
+}
+
+async function ensureVaultReady({ vaultPath, keyPath, identityPath, allowOverwrite = false } = {}) {
   const keyExists = fs.existsSync(keyPath);
 
   let key;
@@ -347,16 +523,14 @@ async function ensureVaultReady({ vaultPath, keyPath, allowOverwrite = false } =
       console.error('IMPORTANT: Copy this key file to any machine that should decrypt the vault (do NOT put it in iCloud Drive).');
     }
   } else {
-    key = readVaultKey(keyPath);
+    key = await unlockVaultKey(keyPath);
     if (!key) die(`Vault key not found (or invalid): ${keyPath}`, 2);
 
     if (allowOverwrite) {
-      const ok = await confirmPrompt(`Key already exists at ${keyPath}. Overwrite and create a NEW key? (This will break decryption of existing vaults)`, { defaultNo: true });
+      const ok = await confirmPrompt(`Key already exists at ${keyPath}. Overwrite and create a NEW key? (This will break decryption of existing vaults; use \`dotkc key rotate\` to change the key and keep your secrets)`, { defaultNo: true });
       if (ok) {
         const next = generateVaultKey();
-        fs.mkdirSync(path.dirname(keyPath), { recursive: true });
-        fs.writeFileSync(keyPath, Buffer.from(next.toString('base64') + '\n', 'utf8'), { mode: 0o600 });
-        fs.chmodSync(keyPath, 0o600);
+        writeKeyFile(keyPath, next);
         key = next;
         console.error(`Overwrote key: ${keyPath}`);
       } else {
@@ -366,14 +540,20 @@ async function ensureVaultReady({ vaultPath, keyPath, allowOverwrite = false } =
   }
 
   const vaultExists = fs.existsSync(vaultPath);
-  const { data, exists } = loadVault(vaultPath, key);
+  let loaded;
+  try {
+    loaded = loadVault(vaultPath, { key, identity: readIdentity(identityPath) });
+  } catch (e) {
+    die(`Failed to decrypt vault: ${vaultPath}\n${e?.message ?? String(e)}`, 2);
+  }
+  const { data, exists, seal, payloadVersion } = loaded;
   if (!exists) {
     saveVault(vaultPath, key, {});
     console.error(`Created vault: ${vaultPath}`);
   } else if (allowOverwrite && vaultExists) {
     const ok = await confirmPrompt(`Vault already exists at ${vaultPath}. Overwrite and create an EMPTY vault? (This will delete all stored secrets)`, { defaultNo: true });
     if (ok) {
-      saveVault(vaultPath, key, {});
+      saveVault(vaultPath, seal, {}, { payloadVersion });
       console.error(`Overwrote vault (emptied): ${vaultPath}`);
       return { key, data: {}, vaultPath, keyPath };
     }
@@ -382,55 +562,68 @@ async function ensureVaultReady({ vaultPath, keyPath, allowOverwrite = false } =
   return { key, data, vaultPath, keyPath };
 }
 
-async function promptHidden(promptText) {
+async function promptHidden(promptText, { output = process.stdout } = {}) {
   if (!process.stdin.isTTY) die('Prompt requires a TTY.', 2);
   return await new Promise((resolve) => {
-    const rl = readline.createInterface({ input: process.stdin, output: process.stdout, terminal: true });
+    const rl = readline.createInterface({ input: process.stdin, output, terminal: true });
 
     // hide input by overriding output
     // eslint-disable-next-line no-underscore-dangle
     rl._writeToOutput = function _writeToOutput() {};
 
-    process.stdout.write(promptText);
+    output.write(promptText);
     rl.question('', (answer) => {
       rl.close();
-      process.stdout.write('\n');
+      output.write('\n');
       resolve(answer);
     });
   });
 }
 
+async function promptNewPassphrase(keyPath) {
+  const a = await promptHidden(`New passphrase for ${keyPath}: `, { output: process.stderr });
+  if (!a) die('Empty passphrase; key not changed.', 2);
+  const b = await promptHidden('Repeat passphrase: ', { output: process.stderr });
+  if (a !== b) die('Passphrases do not match; key not changed.', 2);
+  return a;
+}
+
 if (cmd === 'key') {
   const sub = argv[1];
   const rest = argv.slice(2);
 
   if (!sub || sub === '-h' || sub === '--help') usage(sub ? 0 : 1);
 
-  if (sub === 'install') {
-    let keyArg = null;
-    let force = false;
-    for (let i = 0; i < rest.length; i++) {
-      const a = rest[i];
-      if (a === '--key') {
-        keyArg = rest[++i] ?? null;
-        continue;
-      }
-      if (a === '--force') {
-        force = true;
-        continue;
-      }
-      die(`Unknown option: ${a}`, 2);
+  let vaultArg = null;
+  let keyArg = null;
+  let force = false;
+  for (let i = 0; i < rest.length; i++) {
+    const a = rest[i];
+    if (a === '--key') {
+      keyArg = rest[++i] ?? null;
+      continue;
+    }
+    if (a === '--vault' && sub === 'rotate') {
+      vaultArg = rest[++i] ?? null;
+      continue;
+    }
+    if (a === '--force' && sub === 'install') {
+      force = true;
+      continue;
     }
+    die(`Unknown option: ${a}`, 2);
+  }
 
-    const keyPath = expandHome(keyArg ?? process.env.DOTKC_VAULT_KEY_PATH ?? defaultVaultKeyPath());
+  const { vaultPath, keyPath, identityPath } = vaultPathsFromEnvOrArgs({ vaultArg, keyArg });
 
+  if (sub === 'install') {
     if (process.stdin.isTTY) {
       die('dotkc key install reads the key from stdin. Example: cat ~/.dotkc/key | dotkc key install', 2);
     }
 
     const raw = await readAllStdin();
-    const key = parseVaultKeyString(raw);
-    if (!key) die('Invalid key material. Expected base64-encoded 32-byte key.', 2);
+    const material = parseKeyMaterial(raw);
+    if (!material) die('Invalid key material. Expected base64-encoded 32-byte key (or a dotkc passphrase-wrapped key file).', 2);
 
     if (fs.existsSync(keyPath) && !force) {
       console.error(`Key already exists: ${keyPath}`);
@@ -438,14 +631,102 @@ if (cmd === 'key') {
       process.exit(2);
     }
 
+    // write verbatim so a wrapped key stays wrapped
+    const body = material.wrapped ? JSON.stringify(material.wrapped, null, 2) : material.key.toString('base64');
     fs.mkdirSync(path.dirname(keyPath), { recursive: true });
-    fs.writeFileSync(keyPath, Buffer.from(key.toString('base64') + '\n', 'utf8'), { mode: 0o600 });
+    fs.writeFileSync(keyPath, Buffer.from(body + '\n', 'utf8'), { mode: 0o600 });
     fs.chmodSync(keyPath, 0o600);
 
     console.log('OK');
     process.exit(0);
   }
 
+  if (sub === 'protect') {
+    const kf = readKeyFile(keyPath);
+    if (!kf) die(`Vault key not found (or invalid): ${keyPath}`, 2);
+    if (kf.wrapped) die(`Key is already passphrase-protected: ${keyPath}`, 2);
+
+    const passphrase = await promptNewPassphrase(keyPath);
+    writeKeyFile(keyPath, kf.key, { passphrase });
+    console.log('OK');
+    process.exit(0);
+  }
+
+  if (sub === 'unprotect') {
+    const kf = readKeyFile(keyPath);
+    if (!kf) die(`Vault key not found (or invalid): ${keyPath}`, 2);
+    if (!kf.wrapped) die(`Key is not passphrase-protected: ${keyPath}`, 2);
+
+    const key = await unlockVaultKey(keyPath);
+    writeKeyFile(keyPath, key);
+    console.error('WARNING: The key file is now stored unencrypted. Anyone who can read it can decrypt the vault.');
+    console.log('OK');
+    process.exit(0);
+  }
+
+  if (sub === 'rotate') {
+    const kf = readKeyFile(keyPath);
+    if (!kf) die(`Vault key not found (or invalid): ${keyPath}`, 2);
+    const oldKey = await unlockVaultKey(keyPath);
+    await lockVault(vaultPath, 'key rotate');
+
+    let loaded;
+    try {
+      loaded = loadVault(vaultPath, { key: oldKey, identity: readIdentity(identityPath) });
+    } catch (e) {
+      die(`Failed to decrypt vault: ${vaultPath}\n${e?.message ?? String(e)}`, 2);
+    }
+    if (!loaded.exists) die(`Vault not found: ${vaultPath}\nRun: dotkc init`, 2);
+    if (loaded.version === 2) {
+      die('Vault uses per-machine recipients (format version 2). To revoke a machine, run: dotkc recipient remove <name> (this re-generates the data key).', 2);
+    }
+
+    // a protected key stays protected (and gets a fresh passphrase)
+    const passphrase = kf.wrapped ? await promptNewPassphrase(keyPath) : null;
+    const nextKey = generateVaultKey();
+
+    // Order matters: keep the old key (with a copy of the vault it decrypts), stage the new key,
+    // re-encrypt, then swap the key file in. A failure at any step leaves a key that can decrypt the
+    // vault on disk.
+    const retiredKeyPath = retireKeyFile(keyPath);
+    const preRotationPath = keepVaultWithRetiredKey(vaultPath, retiredKeyPath);
+    const stagedKeyPath = `${keyPath}.new-${process.pid}-${Date.now()}`;
+    writeKeyFile(stagedKeyPath, nextKey, { passphrase });
+
+    try {
+      saveVault(vaultPath, nextKey, loaded.data, {
+        expectedFingerprint: loaded.fingerprint,
+        meta: loaded.meta,
+        payloadVersion: loaded.payloadVersion,
+      });
+    } catch (e) {
+      fs.rmSync(stagedKeyPath, { force: true });
+      fs.rmSync(retiredKeyPath, { force: true });
+      fs.rmSync(preRotationPath, { force: true });
+      die(e?.message ?? String(e), 2);
+    }
+    fs.renameSync(stagedKeyPath, keyPath);
+
+    // the audit log is encrypted with a key derived from the vault key: carry it over
+    let auditWarning = null;
+    if (auditEnabled()) {
+      try {
+        reencryptAuditLog(auditLogPath(), { key: oldKey }, { key: nextKey });
+      } catch (e) {
+        auditWarning = `WARNING: Failed to re-encrypt the audit log (${e?.message ?? String(e)}); older entries need --key ${retiredKeyPath}`;
+      }
+    }
+    audit({ key: nextKey }, { command: 'key rotate' });
+
+    console.error(`Rotated vault key: ${keyPath}`);
+    console.error(`Old key kept at: ${retiredKeyPath}`);
+    console.error(`Pre-rotation vault (decrypts with the old key): ${preRotationPath}`);
+    if (auditWarning) console.error(auditWarning);
+    console.error('IMPORTANT: Install the new key on every machine that should decrypt the vault (dotkc key install --force).');
+    console.log('OK');
+    process.exit(0);
+  }
+
   die(`Unknown key subcommand: ${sub}`, 2);
 }
 
@@ -456,6 +737,7 @@ if (VAULT_COMMANDS.has(cmd)) {
   // parse vault-specific global options
   let vaultArg = null;
   let keyArg = null;
+  let identityArg = null;
   const args = [];
   for (let i = 0; i < rest.length; i++) {
     const a = rest[i];
@@ -467,27 +749,40 @@ if (VAULT_COMMANDS.has(cmd)) {
       keyArg = rest[++i] ?? null;
       continue;
     }
+    if (a === '--identity') {
+      identityArg = rest[++i] ?? null;
+      continue;
+    }
     args.push(a);
   }
 
-  const { vaultPath, keyPath } = vaultPathsFromEnvOrArgs({ vaultArg, keyArg });
+  const { vaultPath, keyPath, identityPath } = vaultPathsFromEnvOrArgs({ vaultArg, keyArg, identityArg });
+
+  if (isMutatingCommand(sub, args)) await lockVault(vaultPath, sub);
 
   if (sub === 'init') {
-    await ensureVaultReady({ vaultPath, keyPath, allowOverwrite: true });
+    await ensureVaultReady({ vaultPath, keyPath, identityPath, allowOverwrite: true });
     console.log('OK');
     process.exit(0);
   }
 
   if (sub === 'status') {
-    const key = readVaultKey(keyPath);
     const vaultExists = fs.existsSync(vaultPath);
     const keyExists = fs.existsSync(keyPath);
+    const keyWrapped = Boolean(readKeyFile(keyPath)?.wrapped);
+    // only prompt for a passphrase when someone is there to answer
+    const key = keyWrapped && !process.stdin.isTTY ? null : await unlockVaultKey(keyPath);
+    const identity = readIdentity(identityPath);
 
     const out = {
       vaultPath,
       keyPath,
+      identityPath,
       vaultExists,
       keyExists,
+      keyWrapped,
+      identityExists: Boolean(identity),
+      vaultVersion: null,
       canDecrypt: false,
       vaultMtimeMs: null,
       vaultBytes: null,
@@ -499,14 +794,16 @@ if (VAULT_COMMANDS.has(cmd)) {
       out.vaultBytes = st.size;
     }
 
-    if (key && vaultExists) {
+    if ((key || identity) && vaultExists) {
       try {
-        loadVault(vaultPath, key);
+        out.vaultVersion = loadVault(vaultPath, { key, identity }).version;
         out.canDecrypt = true;
       } catch (e) {
         out.canDecrypt = false;
         out.error = e?.message ?? String(e);
       }
+    } else if (keyWrapped && !key) {
+      out.error = 'Key is passphrase-protected; run interactively to unlock';
     }
 
     if (GLOBAL_FORMAT === 'openclaw') {
@@ -548,8 +845,11 @@ if (VAULT_COMMANDS.has(cmd)) {
         add('key.permissions', false, e?.message ?? String(e));
       }
 
-      const key = readVaultKey(keyPath);
-      add('key.format', Boolean(key), key ? null : 'Invalid key (expected base64 32-byte key)');
+      const kf = readKeyFile(keyPath);
+      add('key.format', Boolean(kf), kf ? { wrapped: Boolean(kf.wrapped) } : 'Invalid key (expected base64 32-byte key or passphrase-wrapped key)');
+      if (kf && !kf.wrapped) {
+        res.hints.push({ name: 'key.wrapped', details: 'Key file is not passphrase-protected. Consider: dotkc key protect' });
+      }
     }
 
     // vault checks
@@ -567,22 +867,42 @@ if (VAULT_COMMANDS.has(cmd)) {
       }
     }
 
-    // decrypt check
-    const key = readVaultKey(keyPath);
-    if (key && vaultExists) {
+    // decrypt check (a wrapped key is only unlocked when a TTY is available)
+    const keyWrapped = Boolean(readKeyFile(keyPath)?.wrapped);
+    const key = keyWrapped && !process.stdin.isTTY ? null : await unlockVaultKey(keyPath);
+    const identity = readIdentity(identityPath);
+    if (keyWrapped && !key && !identity) {
+      res.hints.push({ name: 'vault.decrypt', details: 'Skipped: key is passphrase-protected (run doctor interactively to check).' });
+    }
+    if ((key || identity) && vaultExists) {
       try {
-        loadVault(vaultPath, key);
-        add('vault.decrypt', true);
+        const { version } = loadVault(vaultPath, { key, identity });
+        add('vault.decrypt', true, { version });
       } catch (e) {
-        add('vault.decrypt', false, e?.message ?? String(e), 'Ensure this machine has the correct ~/.dotkc/key for this vault');
+        add('vault.decrypt', false, e?.message ?? String(e), 'Ensure this machine has the correct ~/.dotkc/key for this vault (or is a recipient: dotkc recipient pubkey)');
       }
     }
+    if (identity) res.hints.push({ name: 'identity', details: { path: identityPath, id: identity.id } });
 
     // backup hints
     const keep = process.env.DOTKC_BACKUP_KEEP ?? '3';
     const bdir = process.env.DOTKC_BACKUP_DIR ?? '(same dir as vault)';
     res.hints.push({ name: 'backup.config', details: { DOTKC_BACKUP_KEEP: keep, DOTKC_BACKUP_DIR: bdir } });
 
+    // leftovers from interrupted commands: stale lock, temp files of atomic writes
+    const lock = readVaultLock(vaultPath);
+    if (lock?.stale) {
+      add('vault.lock', false, { path: lock.path, pid: lock.pid ?? null, host: lock.host ?? null, reason: lock.reason }, `rm "${lock.path}"`);
+    } else if (lock) {
+      res.hints.push({ name: 'vault.lock', details: `Held by ${lock.command ?? 'dotkc'} (pid ${lock.pid ?? '?'} on ${lock.host ?? '?'}) since ${lock.createdAt ?? '?'}` });
+    }
+    const tmpFiles = [vaultPath, keyPath, identityPath].flatMap(listTempFiles);
+    add('files.tmp', tmpFiles.length === 0, tmpFiles.length ? { files: tmpFiles } : null, tmpFiles.length ? tmpFiles.map((f) => `rm "${f}"`).join(' && ') : null);
+
+    // conflict copies left by sync tools (e.g. "dotkc 2.vault")
+    const copies = listConflictCopies(vaultPath);
+    add('vault.conflictCopies', copies.length === 0, copies.length ? { copies } : null, copies.length ? 'dotkc reconcile' : null);
+
     // iCloud hint
     if (vaultPath.includes('Library/Mobile Documents/com~apple~CloudDocs')) {
       res.hints.push({
@@ -613,291 +933,1541 @@ if (VAULT_COMMANDS.has(cmd)) {
     process.exit(res.ok ? 0 : 2);
   }
 
-  // commands below require an existing key file
-  const key = readVaultKey(keyPath);
-  if (!key) {
-    die(`Vault key not found (or invalid): ${keyPath}\nRun: dotkc init`, 2);
+  if (sub === 'recipient' && args[0] === 'pubkey') {
+    const { identity, created } = ensureIdentityFile(identityPath);
+    if (created) console.error(`Created NEW identity: ${identityPath} (keep it on this machine only)`);
+    process.stdout.write(identity.publicKey + '\n');
+    process.exit(0);
   }
 
-  let data;
-  let fingerprint = null;
-  try {
-    const loaded = loadVault(vaultPath, key);
-    data = loaded.data;
-    fingerprint = loaded.fingerprint ?? getVaultFingerprint(vaultPath);
-  } catch (e) {
-    die(`Failed to decrypt vault: ${vaultPath}\n${e?.message ?? String(e)}`, 2);
-  }
+  // backup commands must work even when the live vault is damaged, so they load files themselves
+  if (sub === 'backup') {
+    const [action, ...rest] = args;
+    const jsonOut = rest.includes('--json');
+    const force = rest.includes('--force');
+    const yes = rest.includes('--yes');
+    const restoreRecipients = rest.includes('--restore-recipients');
+    const target = rest.find((a) => !a.startsWith('--'));
+
+    const backups = listBackups(vaultPath);
+    const resolveBackup = (arg) => {
+      const hit = backups.find((fp) => fp === arg || path.basename(fp) === arg || fp.endsWith(`.bak-${arg}`));
+      if (hit) return hit;
+      const abs = path.resolve(expandHome(arg));
+      if (fs.existsSync(abs)) return abs;
+      die(`Backup not found: ${arg}\nRun: dotkc backup list`, 3);
+    };
 
-  const save = (next) => {
-    try {
-      const nextFp = saveVault(vaultPath, key, next, { expectedFingerprint: fingerprint });
-      fingerprint = nextFp;
-    } catch (e) {
-      die(e?.message ?? String(e), 2);
-    }
-  };
+    const identity = readIdentity(identityPath);
+    const key = await unlockVaultKey(keyPath);
+    if (!key && !identity) die(`Vault key not found (or invalid): ${keyPath}\nRun: dotkc init`, 2);
+    const tryLoad = (fp) => {
+      try {
+        return { ok: true, ...loadVault(fp, { key, identity }) };
+      } catch (e) {
+        return { ok: false, error: e?.message ?? String(e) };
+      }
+    };
 
-  if (sub === 'set') {
-    const [service, category, K, value] = args;
-    if (!service || !category || !K) usage(1);
+    if (action === 'list') {
+      const rows = backups.map((fp) => {
+        const st = fs.statSync(fp);
+        const r = tryLoad(fp);
+        const ts = backupTimestamp(fp);
+        return {
+          path: fp,
+          name: path.basename(fp),
+          createdAt: (ts ?? st.mtime).toISOString(),
+          bytes: st.size,
+          decrypts: r.ok,
+          ...(r.ok ? { version: r.version, payloadVersion: r.payloadVersion } : { error: r.error }),
+        };
+      });
 
-    let secret;
-    if (typeof value !== 'string') {
-      secret = await promptHidden(`Enter value for ${service}:${category}:${K} (input hidden): `);
-    } else if (value === '-') {
-      if (process.stdin.isTTY) die("Use the prompt form (omit value) or pipe to stdin (value='-') in non-interactive mode.", 2);
-      secret = (await readAllStdin()).replace(/\r?\n$/, '');
-    } else {
-      secret = value;
+      if (jsonOut) {
+        process.stdout.write(JSON.stringify(rows, null, 2) + '\n');
+        process.exit(0);
+      }
+      if (rows.length === 0) {
+        console.error(`No backups found for ${vaultPath}`);
+        process.exit(0);
+      }
+      for (const r of rows) {
+        console.log(`${r.name}  ${r.createdAt}  ${String(r.bytes).padStart(8)} B  ${r.decrypts ? 'OK' : 'cannot decrypt'}`);
+      }
+      if (rows.some((r) => !r.decrypts)) {
+        console.error('hint: backups written before `dotkc key rotate` decrypt with the retired key (<key>.old-*): use --key');
+        console.error('hint: the vault as it was right before each rotation is kept next to that key (<key>.old-*.vault)');
+      }
+      process.exit(0);
     }
 
-    if (!secret) die('Empty value; nothing stored.', 2);
-
-    data[service] ??= {};
-    data[service][category] ??= {};
-    data[service][category][K] = secret;
-    save(data);
-    console.log('OK');
-    process.exit(0);
-  }
-
-  if (sub === 'get') {
-    const [service, category, K] = args;
-    if (!service || !category || !K) usage(1);
-    const v = data?.[service]?.[category]?.[K];
-    if (v == null) die(`NOT_FOUND: ${service}:${category}:${K}`, 3);
-    process.stdout.write(String(v));
-    process.exit(0);
-  }
+    if (action === 'diff') {
+      if (!target) usage(1);
+      const backupPath = resolveBackup(target);
+      const b = tryLoad(backupPath);
+      if (!b.ok) die(`Failed to decrypt backup: ${backupPath}\n${b.error}`, 2);
+      const live = tryLoad(vaultPath);
+      if (!live.ok) die(`Failed to decrypt vault: ${vaultPath}\n${live.error}`, 2);
 
-  if (sub === 'del') {
-    const [service, category, K] = args;
-    if (!service || !category || !K) usage(1);
-    const cat = data?.[service]?.[category];
-    if (!cat || !(K in cat)) {
-      console.error(`NOT_FOUND: ${service}:${category}:${K}`);
-      process.exit(3);
-    }
-    delete cat[K];
-    if (Object.keys(cat).length === 0) {
-      delete data[service][category];
-      if (Object.keys(data[service]).length === 0) delete data[service];
+      // direction: what changed in the live vault since the backup
+      const { added, removed, changed, same } = diffData(b.data, live.data);
+      if (jsonOut) {
+        process.stdout.write(JSON.stringify({ backup: backupPath, vault: vaultPath, added, removed, changed, unchanged: same.length }, null, 2) + '\n');
+        process.exit(0);
+      }
+      console.error(`backup: ${backupPath}`);
+      console.error(`vault:  ${vaultPath}`);
+      console.error('---');
+      for (const k of added) console.log(`+ ${k}`);
+      for (const k of removed) console.log(`- ${k}`);
+      for (const k of changed) console.log(`~ ${k}`);
+      console.error(`(${added.length} added, ${removed.length} removed, ${changed.length} changed since backup; ${same.length} unchanged)`);
+      process.exit(0);
     }
-    save(data);
-    console.log('OK');
-    process.exit(0);
-  }
 
-  if (sub === 'list') {
-    const [service, category] = args;
-    if (!service) usage(1);
-
-    const svc = data?.[service] ?? {};
+    if (action === 'restore') {
+      if (!target) usage(1);
+      const backupPath = resolveBackup(target);
+      if (path.resolve(backupPath) === path.resolve(vaultPath)) die('Refusing to restore the vault onto itself.', 2);
+      const b = tryLoad(backupPath);
+      if (!b.ok && !force) {
+        die(`Backup does not decrypt with this machine's key/identity: ${backupPath}\n${b.error}\nRe-run with --force to restore it anyway.`, 2);
+      }
 
-    if (!category) {
-      const cats = Object.keys(svc).sort((a, b) => a.localeCompare(b));
-      for (const c of cats) console.log(c);
+      // The vault as shown (and confirmed) here is the one that gets replaced: if it changes before the
+      // restore (e.g. a sync lands while the prompt is open), restoreBackup refuses.
+      const live = tryLoad(vaultPath);
+      const fingerprint = live.ok ? live.fingerprint : getVaultFingerprint(vaultPath);
+      if (live.ok && b.ok) {
+        const { added, removed, changed } = diffData(live.data, b.data);
+        console.error(`Restoring ${backupPath} adds ${added.length}, removes ${removed.length} and changes ${changed.length} keys (details: dotkc backup diff).`);
+      }
+      // a backup taken before `recipient remove` still holds the removed machine's wrap of the data key
+      const current = new Set(readVaultRecipients(vaultPath).map((r) => r.id));
+      const readded = fingerprint ? readVaultRecipients(backupPath).filter((r) => !current.has(r.id)) : [];
+      if (readded.length) {
+        console.error(`The backup gives access back to recipients the vault no longer has:\n${readded.map((r) => `  ${r.name} (${r.id})\n`).join('')}`.trimEnd());
+        if (!restoreRecipients) {
+          die('Nothing restored. Re-run with --restore-recipients to restore them too (then `dotkc recipient remove` them again if needed).', 2);
+        }
+      }
+      if (!yes && process.stdin.isTTY) {
+        const ok = await confirmPrompt(`Replace ${vaultPath} with this backup?`, { defaultNo: true });
+        if (!ok) {
+          console.error('Cancelled.');
+          process.exit(1);
+        }
+      }
+      let res;
+      try {
+        res = restoreBackup(vaultPath, backupPath, { expectedFingerprint: fingerprint });
+      } catch (e) {
+        die(e?.message ?? String(e), 2);
+      }
+      audit({ key, identity }, { command: 'backup restore', backup: backupPath });
+      console.error(`Restored ${backupPath}`);
+      if (res.previousBackup) console.error(`Previous vault backed up to: ${res.previousBackup}`);
+      console.log('OK');
       process.exit(0);
     }
 
-    const cat = svc?.[category] ?? {};
-    const keys = Object.keys(cat).sort((a, b) => a.localeCompare(b));
-    for (const k of keys) console.log(k);
-    process.exit(0);
+    usage(1);
   }
 
-  if (sub === 'search') {
-    const q = args.find(a => !a.startsWith('-'));
-    const jsonOut = args.includes('--json');
-    if (!q) usage(1);
-
-    const needle = String(q).toLowerCase();
-    const matches = [];
-
-    for (const [service, cats] of Object.entries(data ?? {})) {
-      if (!cats || typeof cats !== 'object') continue;
-      for (const [category, kv] of Object.entries(cats ?? {})) {
-        if (!kv || typeof kv !== 'object') continue;
-        for (const keyName of Object.keys(kv)) {
-          const hay = `${service} ${category} ${keyName}`.toLowerCase();
-          if (!hay.includes(needle)) continue;
-          matches.push({ service, category, key: keyName });
+  // the audit log is per-machine and does not need the vault itself
+  if (sub === 'audit') {
+    let secret = null;
+    let since = null;
+    let until = null;
+    let command = null;
+    let limit = null;
+    let jsonOut = false;
+    for (let i = 0; i < args.length; i++) {
+      const a = args[i];
+      if (a === '--json') {
+        jsonOut = true;
+        continue;
+      }
+      if (['--secret', '--since', '--until', '--command', '--limit'].includes(a)) {
+        const v = args[++i];
+        if (v == null) die(`Missing value for ${a}`, 2);
+        if (a === '--secret') secret = v;
+        if (a === '--command') command = v;
+        if (a === '--since' || a === '--until') {
+          const t = parseAuditTime(v);
+          if (!t) die(`Invalid time for ${a}: ${v} (use an ISO date or e.g. 30m, 24h, 7d)`, 2);
+          if (a === '--since') since = t;
+          else until = t;
+        }
+        if (a === '--limit') {
+          limit = Number.parseInt(v, 10);
+          if (!Number.isFinite(limit) || limit < 1) die(`Invalid value for --limit: ${v}`, 2);
         }
+        continue;
       }
+      usage(1);
     }
 
-    matches.sort((a, b) =>
-      `${a.service}:${a.category}:${a.key}`.localeCompare(`${b.service}:${b.category}:${b.key}`),
+    const identity = readIdentity(identityPath);
+    const key = await unlockVaultKey(keyPath);
+    if (!key && !identity) die(`Vault key not found (or invalid): ${keyPath}\nRun: dotkc init`, 2);
+
+    const logPath = auditLogPath();
+    const { entries, unreadable } = readAuditLog(logPath, { key, identity });
+    // --secret matches a key name (API_KEY) or a full spec (svc:cat:API_KEY)
+    const matchesSecret = (e) =>
+      [...(e.keys ?? []), ...(e.specs ?? [])].some((k) => k === secret || k.split(':').pop() === secret);
+    let rows = entries.filter(
+      (e) =>
+        (!secret || matchesSecret(e)) &&
+        (!command || e.command === command || e.command.startsWith(`${command} `)) &&
+        (!since || new Date(e.ts) >= since) &&
+        (!until || new Date(e.ts) <= until),
     );
+    if (limit) rows = rows.slice(-limit);
 
+    if (GLOBAL_FORMAT === 'openclaw') {
+      const warnings = unreadable ? [`${unreadable} audit entries could not be decrypted with this machine's key/identity`] : [];
+      sendOpenClaw('audit', { ok: true, code: 0, data: { log: logPath, entries: rows }, warnings });
+      process.exit(0);
+    }
     if (jsonOut) {
-      process.stdout.write(JSON.stringify(matches, null, 2) + '\n');
+      process.stdout.write(JSON.stringify(rows, null, 2) + '\n');
       process.exit(0);
     }
-
-    for (const m of matches) console.log(`${m.service} ${m.category} ${m.key}`);
+    if (rows.length === 0) console.error(`No audit entries found in ${logPath}`);
+    for (const e of rows) {
+      const by = e.parent?.command ? `${e.parent.command}[${e.parent.pid}]` : `pid ${e.parent?.pid ?? '?'}`;
+      const what = e.keys?.length ? e.keys.join(',') : (e.specs ?? []).join(',');
+      console.log(`${e.ts}  ${e.command}${e.exec ? ` -- ${e.exec}` : ''}  ${what || '-'}  (${by} in ${e.cwd})`);
+    }
+    if (unreadable) {
+      console.error(`hint: ${unreadable} entries do not decrypt with this key/identity (written under a retired key? use --key <key>.old-*)`);
+    }
     process.exit(0);
   }
 
-  if (sub === 'export') {
-    let unsafeValues = false;
-    const specParts = [];
-    for (const a of args) {
-      if (a === '--unsafe-values') {
-        unsafeValues = true;
+  if (sub === 'agent') {
+    const [action, ...rest] = args;
+    let socketArg = null;
+    let ttlMs = DEFAULT_AGENT_TTL_MS;
+    let jsonOut = false;
+    for (let i = 0; i < rest.length; i++) {
+      const a = rest[i];
+      if (a === '--socket') {
+        socketArg = rest[++i];
+        if (!socketArg) die('Missing value for --socket', 2);
         continue;
       }
-      specParts.push(a);
-    }
-
-    const specStr = specParts.join(' ').trim();
-    if (!specStr) usage(1);
-
-    const specs = specStr
-      .split(',')
-      .map(s => s.trim())
-      .filter(Boolean)
-      .map(parseSpec);
-
-    const invalid = specs.find(s => s.kind === 'invalid');
-    if (invalid) {
-      die(
-        `Invalid spec: ${invalid.input}\n` +
-          'Expected: <service>:<category> or <service>:<category>:<KEY>\n' +
-          'Example: dotkc export fly.io:acme-app-dev',
-        2,
-      );
-    }
-
-    const resolved = {};
-
-    for (const sp of specs) {
-      if (sp.kind === 'exact') {
-        const v = data?.[sp.service]?.[sp.category]?.[sp.key];
-        if (v == null) die(`Missing secret: ${sp.service}:${sp.category}:${sp.key}`, 3);
-        resolved[sp.key] = v;
+      if (a === '--ttl') {
+        ttlMs = parseDuration(rest[++i]);
+        if (!ttlMs) die(`Invalid --ttl: ${rest[i]} (e.g. 30m, 8h)`, 2);
+        if (ttlMs > MAX_AGENT_TTL_MS) die(`--ttl too long: ${rest[i]} (at most 24d)`, 2);
         continue;
       }
-
-      const cat = data?.[sp.service]?.[sp.category] ?? null;
-      if (!cat || Object.keys(cat).length === 0) die(`No secrets matched: ${sp.service}:${sp.category}`, 3);
-
-      for (const [k, v] of Object.entries(cat)) {
-        if (!/^[A-Z_][A-Z0-9_]*$/.test(k)) continue;
-        resolved[k] = v;
+      if (a === '--json') {
+        jsonOut = true;
+        continue;
       }
+      usage(1);
     }
 
-    const redact = (v) => {
-      const s = String(v ?? '');
-      const len = s.length;
-      if (len <= 8) return `*** (len=${len})`;
-      return `${s.slice(0, 4)}…${s.slice(-4)} (len=${len})`;
-    };
+    const socketPath = agentSocketPath(socketArg);
+    const getStatus = () => agentRequest(socketPath, { op: 'status' }).catch(() => null);
+    const running = await getStatus();
+    const exportLine = `export DOTKC_AGENT_SOCK='${socketPath.replaceAll("'", `'\\''`)}'`;
+
+    if (action === 'status') {
+      if (GLOBAL_FORMAT === 'openclaw') {
+        sendOpenClaw('agent status', { ok: Boolean(running), code: running ? 0 : 2, data: { socket: socketPath, running: Boolean(running), ...running } });
+        process.exit(running ? 0 : 2);
+      }
+      if (!running) die(`No dotkc agent running at ${socketPath}`, 2);
+      if (jsonOut) {
+        process.stdout.write(JSON.stringify({ socket: socketPath, ...running }, null, 2) + '\n');
+        process.exit(0);
+      }
+      console.log(`socket:   ${socketPath}`);
+      console.log(`pid:      ${running.pid}`);
+      console.log(`started:  ${running.startedAt}`);
+      console.log(`expires:  ${running.expiresAt}`);
+      console.log(`unlocked: ${[running.keyPath ? `key ${running.keyPath}` : null, running.identity ? `identity ${running.identity}` : null].filter(Boolean).join(', ') || '-'}`);
+      console.log(`vaults:   ${running.vaults.join(', ') || '-'}`);
+      process.exit(0);
+    }
+
+    if (action === 'stop') {
+      if (!running) die(`No dotkc agent running at ${socketPath}`, 2);
+      try {
+        await agentRequest(socketPath, { op: 'stop' });
+      } catch (e) {
+        die(e?.message ?? String(e), 2);
+      }
+      console.log('OK');
+      process.exit(0);
+    }
+
+    if (action === 'start') {
+      if (running) {
+        console.error(`dotkc agent already running (pid ${running.pid}, expires ${running.expiresAt})`);
+        console.log(exportLine);
+        process.exit(0);
+      }
+
+      const identity = readIdentity(identityPath);
+      const key = await unlockVaultKey(keyPath);
+      if (!key && !identity) die(`Vault key not found (or invalid): ${keyPath}\nRun: dotkc init`, 2);
+      try {
+        loadVault(vaultPath, { key, identity });
+      } catch (e) {
+        die(`Failed to decrypt vault: ${vaultPath}\n${e?.message ?? String(e)}`, 2);
+      }
+
+      // the key goes through stdin, never argv or the environment
+      const agentScript = fileURLToPath(new URL('./agent.mjs', import.meta.url));
+      const child = spawn(process.execPath, [agentScript, '--serve', socketPath, String(ttlMs), keyPath, identity ? identityPath : ''], {
+        detached: true,
+        stdio: ['pipe', 'ignore', 'ignore'],
+      });
+      child.stdin.end(key ? key.toString('base64') : '');
+      child.unref();
+
+      let started = null;
+      for (let i = 0; i < 50 && !started; i++) {
+        await new Promise((r) => setTimeout(r, 100));
+        started = await getStatus();
+      }
+      if (!started) die(`dotkc agent did not start (socket: ${socketPath})`, 2);
+
+      if (GLOBAL_FORMAT === 'openclaw') {
+        sendOpenClaw('agent start', { ok: true, code: 0, data: { socket: socketPath, ...started } });
+        process.exit(0);
+      }
+      console.error(`Started dotkc agent (pid ${started.pid}); it forgets the key at ${started.expiresAt}.`);
+      console.error('Commands use it when DOTKC_AGENT_SOCK is set: eval "$(dotkc agent start)"');
+      console.log(exportLine);
+      process.exit(0);
+    }
+
+    usage(1);
+  }
+
+  // commands below require an existing key file (or an identity that is a recipient of the vault)
+  let vault;
+  try {
+    vault = await openVault({
+      vaultPath,
+      keyPath,
+      identityPath,
+      passphrase: promptPassphrase,
+      command: sub === 'recipient' ? `recipient ${args[0]}` : sub,
+    });
+  } catch (e) {
+    dieWith(e);
+  }
+
+  const { data, meta, identity, metaFor } = vault;
+  const { seal, payloadVersion } = vault;
+  let key = vault.key;
+
+  // run a library write; library errors end the command
+  const write = (fn) => {
+    try {
+      const { merged } = fn();
+      if (merged) console.error('Vault changed on disk (sync conflict); merged with the changes made elsewhere.');
+    } catch (e) {
+      dieWith(e);
+    }
+  };
+  const save = (next, nextSeal = vault.seal, nextPayloadVersion = vault.payloadVersion) =>
+    write(() => vault.save(next, { seal: nextSeal, payloadVersion: nextPayloadVersion }));
+
+  if (sub === 'migrate') {
+    if (payloadVersion >= LATEST_PAYLOAD_VERSION) {
+      console.error(`Vault payload is already version ${payloadVersion}.`);
+      console.log('OK');
+      process.exit(0);
+    }
+    save(data, seal, LATEST_PAYLOAD_VERSION);
+    console.error(`Migrated vault payload from version ${payloadVersion} to ${LATEST_PAYLOAD_VERSION} (per-secret metadata).`);
+    console.error('NOTE: dotkc versions older than this one cannot read the migrated vault; upgrade every machine.');
+    console.log('OK');
+    process.exit(0);
+  }
+
+  if (sub === 'recipient') {
+    const [action, ...rest] = args;
+    const positional = rest.filter((a) => !a.startsWith('--'));
+
+    if (action === 'list') {
+      const keyFileExists = Boolean(readKeyFile(keyPath));
+      const recipients = listSealRecipients(seal).map((r) => ({
+        ...r,
+        local: r.type === 'key' ? keyFileExists : r.id === identity?.id,
+      }));
+
+      if (rest.includes('--json')) {
+        process.stdout.write(JSON.stringify(recipients, null, 2) + '\n');
+        process.exit(0);
+      }
+      if (recipients.length === 0) {
+        console.error('Vault uses the shared key file only (format version 1).');
+        console.error('Add a recipient to switch to per-machine keys: dotkc recipient add <name> <publicKey> (or --self)');
+        process.exit(0);
+      }
+      for (const r of recipients) console.log(`${r.id}  ${r.type.padEnd(6)}  ${r.name}${r.local ? '  (this machine)' : ''}`);
+      process.exit(0);
+    }
+
+    if (action === 'add') {
+      let name = positional[0];
+      let publicKey;
+      if (rest.includes('--self')) {
+        const { identity: self, created } = ensureIdentityFile(identityPath);
+        if (created) console.error(`Created NEW identity: ${identityPath} (keep it on this machine only)`);
+        publicKey = self.publicKey;
+        name ??= self.name;
+      } else {
+        if (!name || !positional[1]) usage(1);
+        publicKey = parsePublicKey(positional[1]);
+        if (!publicKey) die('Invalid public key. Expected the output of `dotkc recipient pubkey` on the other machine.', 2);
+      }
+
+      const recipient = { type: 'x25519', name, publicKey };
+      let nextSeal;
+      try {
+        if (Buffer.isBuffer(seal)) {
+          // upgrade to version 2; the shared key stays a recipient so other machines keep working
+          nextSeal = createRecipientSeal([{ type: 'key' }, recipient], { key: seal });
+          console.error('Upgraded vault to multi-recipient format (version 2).');
+          console.error('The shared key file still decrypts it until you run: dotkc recipient remove shared-key');
+        } else {
+          nextSeal = addSealRecipient(seal, recipient);
+        }
+      } catch (e) {
+        die(e?.message ?? String(e), 2);
+      }
+
+      save(data, nextSeal);
+      console.log('OK');
+      process.exit(0);
+    }
+
+    if (action === 'remove') {
+      const target = positional[0];
+      if (!target) usage(1);
+      if (Buffer.isBuffer(seal)) die('Vault has no recipients (format version 1).', 2);
+
+      // refuse to lock this machine out unless asked to
+      const keyFileExists = Boolean(readKeyFile(keyPath));
+      const isTarget = (r) => r.id === target || r.name === target;
+      const localAccess = seal.recipients.filter((r) => (r.type === 'key' ? keyFileExists : r.id === identity?.id));
+      if (localAccess.length > 0 && localAccess.every(isTarget) && !rest.includes('--force')) {
+        die(`Removing ${target} would lock this machine out of the vault. Re-run with --force if that is intended.`, 2);
+      }
+
+      const needsKey = seal.recipients.some((r) => r.type === 'key' && !isTarget(r));
+      if (needsKey && !key) key = await unlockVaultKey(keyPath);
+
+      let nextSeal;
+      try {
+        nextSeal = removeSealRecipient(seal, target, { key });
+      } catch (e) {
+        die(e?.message ?? String(e), 2);
+      }
+
+      save(data, nextSeal);
+      console.error('Re-generated the data key for the remaining recipients. The removed recipient can still read older backups.');
+      console.log('OK');
+      process.exit(0);
+    }
+
+    usage(1);
+  }
+
+  if (sub === 'set') {
+    let note = null;
+    let refs = false;
+    const positional = [];
+    for (let i = 0; i < args.length; i++) {
+      if (args[i] === '--note') {
+        note = args[++i];
+        if (note == null) die('Missing value for --note', 2);
+        continue;
+      }
+      if (args[i] === '--refs') {
+        refs = true;
+        continue;
+      }
+      positional.push(args[i]);
+    }
+    const [service, category, K, value] = positional;
+    if (!service || !category || !K) usage(1);
+    if (note != null && payloadVersion < 2) die('Notes need vault payload version 2. Run: dotkc migrate', 2);
+    if (refs && payloadVersion < 2) die('References need vault payload version 2. Run: dotkc migrate', 2);
+
+    let secret;
+    if (typeof value !== 'string') {
+      secret = await promptHidden(`Enter value for ${service}:${category}:${K} (input hidden): `);
+    } else if (value === '-') {
+      if (process.stdin.isTTY) die("Use the prompt form (omit value) or pipe to stdin (value='-') in non-interactive mode.", 2);
+      secret = (await readAllStdin()).replace(/\r?\n$/, '');
+    } else {
+      secret = value;
+    }
+
+    write(() => vault.set(service, category, K, secret, { note, refs }));
+    if (!refs && hasReferenceSyntax(secret)) {
+      console.error('Note: the value contains ${...}; it is stored as plain text. Pass --refs to resolve it as a reference.');
+    }
+    console.log('OK');
+    process.exit(0);
+  }
+
+  if (sub === 'get') {
+    const { profile, rest } = takeProfileArg(args);
+    const raw = rest.includes('--raw');
+    const [service, category, K] = rest.filter(a => a !== '--raw');
+    if (!service || !category || !K) usage(1);
+    let v;
+    try {
+      checkPolicyUnsafeValues(profile, 'get');
+      v = vault.get(service, category, K, { policy: profile, raw });
+    } catch (e) {
+      dieWith(e);
+    }
+    process.stdout.write(v);
+    process.exit(0);
+  }
+
+  if (sub === 'del') {
+    const [service, category, K] = args;
+    if (!service || !category || !K) usage(1);
+    write(() => vault.delete(service, category, K));
+    console.log('OK');
+    process.exit(0);
+  }
+
+  if (sub === 'history' || sub === 'rollback') {
+    const { profile, rest } = takeProfileArg(args);
+    let to = null;
+    let jsonOut = false;
+    const positional = [];
+    for (let i = 0; i < rest.length; i++) {
+      const a = rest[i];
+      if (a === '--to' && sub === 'rollback') {
+        to = rest[++i];
+        if (to == null) die('Missing value for --to', 2);
+        continue;
+      }
+      if (a === '--json' && sub === 'history') {
+        jsonOut = true;
+        continue;
+      }
+      positional.push(a);
+    }
+    const [service, category, K] = positional;
+    if (!service || !category || !K) usage(1);
+    enforcePolicy(profile, [`${service}:${category}:${K}`]);
+
+    const v = data?.[service]?.[category]?.[K];
+    if (v == null) die(`NOT_FOUND: ${service}:${category}:${K}`, 3);
+    if (payloadVersion < 2) die('No history: vault payload is version 1. Run: dotkc migrate', 2);
+
+    const m = metaFor(service, category, K);
+    const history = meta?.[service]?.[category]?.[K]?.history ?? [];
+
+    if (sub === 'history') {
+      // version 0 is the current value; 1..n are previous values, newest first
+      const versions = [
+        { version: 0, current: true, value: redact(v), updatedAt: m.updatedAt, updatedBy: m.updatedBy },
+        ...history.map((h, i) => ({ version: i + 1, current: false, value: redact(h.value), updatedAt: h.updatedAt ?? null, updatedBy: h.updatedBy ?? null })),
+      ];
+      if (jsonOut) {
+        process.stdout.write(JSON.stringify(versions, null, 2) + '\n');
+        process.exit(0);
+      }
+      for (const h of versions) {
+        console.log(`${String(h.version).padStart(2)}${h.current ? '*' : ' '}  ${h.updatedAt ?? '-'}  ${h.updatedBy ?? '-'}  ${h.value}`);
+      }
+      process.exit(0);
+    }
+
+    if (to == null) usage(1);
+    const n = Number.parseInt(String(to), 10);
+    if (!Number.isInteger(n) || String(n) !== String(to).trim() || n < 1) die('Invalid --to. Expected a version number from `dotkc history` (1 = previous value).', 2);
+    const target = history[n - 1];
+    if (!target) die(`NOT_FOUND: version ${n} of ${service}:${category}:${K}`, 3);
+
+    // the current value moves into history, so a rollback can itself be rolled back
+    data[service][category][K] = target.value;
+    write(() => vault.save(data, { refs: new Map([[`${service}:${category}:${K}`, target.refs === true]]) }));
+    console.log('OK');
+    process.exit(0);
+  }
+
+  if (sub === 'reconcile') {
+    const { profile, rest } = takeProfileArg(args);
+    const dryRun = rest.includes('--dry-run');
+    const jsonOut = rest.includes('--json');
+    if (jsonOut && !dryRun) die('--json is only supported with --dry-run.', 2);
+
+    const copies = listConflictCopies(vaultPath);
+    if (copies.length === 0) {
+      if (jsonOut) process.stdout.write('[]\n');
+      else console.error(`No conflict copies found next to ${vaultPath}`);
+      process.exit(0);
+    }
+
+    const report = [];
+    const done = [];
+    for (const copyPath of copies) {
+      let copy;
+      try {
+        copy = loadVault(copyPath, { key, identity });
+      } catch (e) {
+        report.push({ path: copyPath, decrypts: false, error: e?.message ?? String(e) });
+        if (!jsonOut) console.error(`Skipping ${copyPath}: cannot decrypt (${e?.message ?? String(e)})`);
+        continue;
+      }
+
+      // added = only in the copy, removed = only in the main vault
+      const d = diffData(data, copy.data);
+      enforcePolicy(profile, [...d.added, ...d.removed, ...d.changed, ...d.same]);
+      report.push({ path: copyPath, decrypts: true, onlyInCopy: d.added, onlyInVault: d.removed, different: d.changed, same: d.same.length });
+      if (dryRun) continue;
+
+      if (d.added.length + d.removed.length + d.changed.length === 0) {
+        console.error(`${path.basename(copyPath)}: identical to the vault.`);
+        done.push(copyPath);
+        continue;
+      }
+
+      // selecting an item means "the copy wins" for that key
+      const actions = new Map();
+      for (const k of d.added) actions.set(`+ ${k}  (only in copy)`, { spec: k, take: true });
+      for (const k of d.changed) actions.set(`~ ${k}  (differs; take copy's value)`, { spec: k, take: true });
+      for (const k of d.removed) actions.set(`- ${k}  (missing in copy; delete from vault)`, { spec: k, take: false });
+      const items = Array.from(actions.keys());
+
+      const picked = await pickMany({
+        title: `dotkc reconcile ← ${path.basename(copyPath)}`,
+        hint: `Selected entries take the copy's side. Keys: j/k or ↑/↓ to move, space to toggle, a=all, d=none, enter=apply, q/esc=skip this copy`,
+        items,
+        initiallySelected: items.filter((i) => i.startsWith('+ ')),
+      });
+      if (picked == null) {
+        console.error(`Skipped ${copyPath} (left in place).`);
+        continue;
+      }
+
+      for (const label of picked) {
+        const { spec, take } = actions.get(label);
+        const sp = parseSpec(spec);
+        if (take) {
+          data[sp.service] ??= {};
+          data[sp.service][sp.category] ??= {};
+          data[sp.service][sp.category][sp.key] = copy.data[sp.service][sp.category][sp.key];
+        } else {
+          delete data[sp.service][sp.category][sp.key];
+          if (Object.keys(data[sp.service][sp.category]).length === 0) delete data[sp.service][sp.category];
+          if (Object.keys(data[sp.service]).length === 0) delete data[sp.service];
+        }
+      }
+      console.error(`${path.basename(copyPath)}: applied ${picked.length} of ${items.length} differences.`);
+      done.push(copyPath);
+    }
+
+    if (dryRun) {
+      if (jsonOut) {
+        process.stdout.write(JSON.stringify(report, null, 2) + '\n');
+        process.exit(0);
+      }
+      for (const r of report) {
+        console.log(r.path);
+        if (!r.decrypts) {
+          console.log(`  cannot decrypt: ${r.error}`);
+          continue;
+        }
+        for (const k of r.onlyInCopy) console.log(`  + ${k}`);
+        for (const k of r.onlyInVault) console.log(`  - ${k}`);
+        for (const k of r.different) console.log(`  ~ ${k}`);
+        console.log(`  (${r.onlyInCopy.length} only in copy, ${r.onlyInVault.length} only in vault, ${r.different.length} different, ${r.same} same)`);
+      }
+      process.exit(0);
+    }
+
+    if (done.length === 0) die('Nothing reconciled.', 1);
+    save(data);
+    for (const fp of done) console.error(`Archived ${fp} → ${archiveConflictCopy(vaultPath, fp)}`);
+    console.log('OK');
+    process.exit(0);
+  }
+
+  if (sub === 'list') {
+    const long = args.includes('--long') || args.includes('-l');
+    const [service, category] = args.filter((a) => !a.startsWith('-'));
+    if (!service) usage(1);
+
+    if (!category) {
+      const cats = vault.list(service);
+      if (!long) {
+        for (const c of cats) console.log(c);
+        process.exit(0);
+      }
+      const w = Math.max(0, ...cats.map((c) => c.length));
+      for (const c of cats) {
+        const keys = vault.list(service, c);
+        const latest = keys.map((k) => metaFor(service, c, k).updatedAt).filter(Boolean).sort().at(-1) ?? '-';
+        console.log(`${c.padEnd(w)}  ${String(keys.length).padStart(4)} keys  ${latest}`);
+      }
+      process.exit(0);
+    }
+
+    const keys = vault.list(service, category);
+    if (!long) {
+      for (const k of keys) console.log(k);
+      process.exit(0);
+    }
+    const w = Math.max(0, ...keys.map((k) => k.length));
+    for (const k of keys) {
+      const m = metaFor(service, category, k);
+      console.log(`${k.padEnd(w)}  ${m.updatedAt ?? '-'}  ${m.updatedBy ?? '-'}${m.note ? `  # ${m.note}` : ''}`);
+    }
+    process.exit(0);
+  }
+
+  if (sub === 'search') {
+    const refsIdx = args.indexOf('--refs');
+    const q = refsIdx === -1 ? args.find(a => !a.startsWith('-')) : args[refsIdx + 1];
+    const jsonOut = args.includes('--json');
+    if (!q) usage(1);
+
+    // --refs: entries whose value references the given key (see "Secret references" in the README)
+    const matches = refsIdx === -1 ? vault.search(q) : vault.findReferences(q);
+
+    if (jsonOut) {
+      process.stdout.write(JSON.stringify(matches, null, 2) + '\n');
+      process.exit(0);
+    }
+
+    for (const m of matches) console.log(`${m.service} ${m.category} ${m.key}`);
+    process.exit(0);
+  }
+
+  if (sub === 'export') {
+    const { profile, rest } = takeProfileArg(args);
+    let unsafeValues = false;
+    let raw = false;
+    let strict = false;
+    let jsonOut = false;
+    let withProvenance = false;
+    let onConflict = 'last';
+    let out = null;
+    let name = null;
+    const specParts = [];
+    for (let i = 0; i < rest.length; i++) {
+      const a = rest[i];
+      if (a === '--out') {
+        out = rest[++i];
+        if (!out) die('Missing value for --out', 2);
+        continue;
+      }
+      if (a === '--name') {
+        name = rest[++i];
+        if (!name) die('Missing value for --name', 2);
+        continue;
+      }
+      const oc = takeOnConflictArg(a, rest[i + 1], i);
+      if (oc) {
+        onConflict = checkOnConflict(oc.mode);
+        i = oc.i;
+        continue;
+      }
+      if (a === '--unsafe-values') {
+        unsafeValues = true;
+        continue;
+      }
+      if (a === '--raw') {
+        raw = true;
+        continue;
+      }
+      if (a === '--strict') {
+        strict = true;
+        continue;
+      }
+      if (a === '--json') {
+        jsonOut = true;
+        continue;
+      }
+      if (a === '--provenance') {
+        withProvenance = true;
+        continue;
+      }
+      specParts.push(a);
+    }
+
+    const specStr = specParts.join(' ').trim();
+    if (!specStr) usage(1);
+
+    const specs = specStr
+      .split(',')
+      .map(s => s.trim())
+      .filter(Boolean)
+      .map(parseSpec);
+
+    const invalid = specs.find(s => s.kind === 'invalid');
+    if (invalid) {
+      die(
+        `Invalid spec: ${invalid.input}\n` +
+          'Expected: <service>:<category>[@<PREFIX>] or <service>:<category>:<KEY>[=<NAME>]\n' +
+          'Example: dotkc export fly.io:acme-app-dev',
+        2,
+      );
+    }
+
+    // --format (parsed globally): openclaw is the inspect output, like --json; the rest are file formats
+    const inspectOut = GLOBAL_FORMAT === 'openclaw' || jsonOut;
+    const format = GLOBAL_FORMAT === 'openclaw' ? null : (GLOBAL_FORMAT ?? 'dotenv');
+    if (format && !EXPORT_FORMATS.includes(format)) die(`Unknown format: ${format} (expected ${EXPORT_FORMATS.join(', ')} or openclaw)`, 2);
+    if (jsonOut && GLOBAL_FORMAT) die('--json cannot be combined with --format.', 2);
+    if (inspectOut && out) die('--json/--format openclaw print inspect output; drop --out.', 2);
+    if (withProvenance && !inspectOut) die('--provenance goes with --json (--format openclaw always includes it).', 2);
+
+    let resolved;
+    let keys;
+    let sources;
+    let provenance;
+    let expansions;
+    let conflicts;
+    try {
+      if (unsafeValues) checkPolicyUnsafeValues(profile, 'export --unsafe-values');
+      ({ env: resolved, keys, sources, provenance, expansions, conflicts } = vault.resolveSpecs(specs, {
+        audit: unsafeValues ? { command: 'export --unsafe-values', format: format ?? (jsonOut ? 'json' : 'openclaw'), ...(out ? { out: path.resolve(out) } : {}) } : false,
+        policy: profile,
+        raw,
+        strict,
+        onConflict,
+      }));
+    } catch (e) {
+      dieWith(e);
+    }
+    const warnings = [...unmatchedPatterns(specs, expansions).map(p => `No secrets matched: ${p}`), ...conflictWarnings(conflicts)];
+    const origins = Object.fromEntries(keys.map(k => [k, { source: 'vault', ...provenance[k] }]));
+
+    if (GLOBAL_FORMAT === 'openclaw' || jsonOut) {
+      const envOut = {};
+      for (const k of keys) envOut[k] = unsafeValues ? resolved[k] : redact(resolved[k]);
+      const out = GLOBAL_FORMAT === 'openclaw'
+        ? { format: 'openclaw', redacted: !unsafeValues, specs: specs.map(specToString), env: envOut, sources, provenance: origins, expansions, conflicts, warnings }
+        : jsonShape(envOut, { specs, withProvenance, provenance: origins, expansions, conflicts });
+      for (const w of jsonOut ? warnings : []) console.error(`WARNING: ${w}`);
+      process.stdout.write(JSON.stringify(out, null, 2) + '\n');
+      process.exit(0);
+    }
 
-    const keys = Object.keys(resolved).sort((a, b) => a.localeCompare(b));
+    for (const w of warnings) console.error(`WARNING: ${w}`);
+
+    const values = {};
+    for (const k of keys) values[k] = unsafeValues ? resolved[k] : redact(resolved[k]);
+    let text;
+    try {
+      // k8s-secret: metadata.name defaults to the (first) category
+      const secretName = name ?? specs[0].category.replaceAll('*', '');
+      text = formatEnv(format, values, keys, { name: secretName, redacted: !unsafeValues });
+    } catch (e) {
+      dieWith(e);
+    }
+
+    if (out) {
+      try {
+        atomicWriteFile(path.resolve(out), Buffer.from(text, 'utf8'), 0o600);
+      } catch (e) {
+        die(`Failed to write ${out}: ${e?.message ?? e}`, 2);
+      }
+      console.error(`Wrote ${out} (${keys.length} key${keys.length === 1 ? '' : 's'}, ${format}${unsafeValues ? '' : ', values redacted: add --unsafe-values for full values'})`);
+      process.exit(0);
+    }
 
     if (unsafeValues) {
       console.error('WARNING: Exporting FULL secret values to stdout.');
-      console.error('Consider redirecting directly to a file and keep it out of git.');
+      console.error('Consider --out <file> (written 0600) and keep it out of git.');
       console.error('---');
     }
+    process.stdout.write(text);
+    process.exit(0);
+  }
 
-    for (const k of keys) {
-      process.stdout.write(`${k}=${unsafeValues ? resolved[k] : redact(resolved[k])}\n`);
+  if (sub === 'render') {
+    const { profile, rest } = takeProfileArg(args);
+    let out = null;
+    let escape = null;
+    let check = false;
+    let templatePath = null;
+    for (let i = 0; i < rest.length; i++) {
+      const a = rest[i];
+      if (a === '--out') {
+        out = rest[++i];
+        if (!out) die('Missing value for --out', 2);
+        continue;
+      }
+      if (a === '--escape') {
+        escape = rest[++i];
+        if (!ESCAPE_MODES.includes(escape)) die(`--escape must be one of: ${ESCAPE_MODES.join(', ')}`, 2);
+        continue;
+      }
+      if (a === '--check') {
+        check = true;
+        continue;
+      }
+      if (templatePath) usage(1);
+      templatePath = a;
+    }
+    if (!templatePath || (!out && !check)) usage(1);
+    if (out && check) die('--check does not write anything; drop --out.', 2);
+
+    let template;
+    try {
+      template = fs.readFileSync(templatePath, 'utf8');
+    } catch (e) {
+      die(`Failed to read template: ${templatePath}\n${e?.message ?? e}`, 2);
+    }
+    // by extension, e.g. config.yaml.tmpl → yaml (else the output file's)
+    if (!escape) escape = escapeModeFor(templatePath) !== 'none' ? escapeModeFor(templatePath) : escapeModeFor(out);
+
+    let placeholders;
+    try {
+      placeholders = parseTemplate(template, { escape });
+    } catch (e) {
+      dieWith(e);
+    }
+
+    // one lookup per distinct spec; references in values resolve as in `run`
+    const resolveOne = (spec) => vault.resolveSpecs([spec], { audit: false, policy: profile });
+
+    if (check) {
+      const results = [];
+      const seen = new Map();
+      for (const p of placeholders) {
+        const id = specToString(p.spec);
+        if (!seen.has(id)) {
+          try {
+            resolveOne(p.spec);
+            seen.set(id, null);
+          } catch (e) {
+            seen.set(id, e);
+          }
+        }
+        const err = seen.get(id);
+        results.push({ line: p.line, spec: id, ok: !err, ...(err ? { error: err.message, code: err.code ?? null } : {}) });
+      }
+      const failed = results.filter(r => !r.ok);
+      // NOT_FOUND/POLICY_DENIED keep their exit codes, as elsewhere
+      const code = failed.length === 0 ? 0 : ({ NOT_FOUND: 3, POLICY_DENIED: 4 }[failed[0].code] ?? 2);
+
+      if (GLOBAL_FORMAT === 'openclaw') {
+        sendOpenClaw('render', {
+          ok: code === 0,
+          code,
+          data: { template: templatePath, escape, placeholders: results },
+          errors: failed.map(r => `line ${r.line}: ${r.error}`),
+        });
+        process.exit(code);
+      }
+
+      for (const r of failed) console.error(`line ${r.line}: ${r.error}`);
+      if (code === 0) console.log(`OK (${results.length} placeholder${results.length === 1 ? '' : 's'}, escape: ${escape})`);
+      process.exit(code);
     }
+
+    let rendered;
+    const cache = new Map();
+    const refs = new Set();
+    try {
+      // the rendered file holds full values
+      checkPolicyUnsafeValues(profile, 'render');
+      rendered = renderTemplate(template, (spec) => {
+        const id = specToString(spec);
+        if (!cache.has(id)) {
+          const r = resolveOne(spec);
+          for (const ref of r.refs) refs.add(ref);
+          cache.set(id, r.env[spec.key]);
+        }
+        return cache.get(id);
+      }, { escape });
+      vault.audit({
+        command: 'render',
+        specs: [...cache.keys()],
+        keys: [...new Set(placeholders.map(p => p.spec.key))].sort(),
+        ...(refs.size ? { refs: [...refs].sort() } : {}),
+        ...(profile ? { profile: profile.name } : {}),
+        out: path.resolve(out),
+      });
+      atomicWriteFile(path.resolve(out), Buffer.from(rendered, 'utf8'), 0o600);
+    } catch (e) {
+      dieWith(e);
+    }
+    console.log(`Wrote ${out} (${placeholders.length} placeholder${placeholders.length === 1 ? '' : 's'}, escape: ${escape})`);
     process.exit(0);
   }
 
+  if (sub === 'diff') {
+    const { profile, rest } = takeProfileArg(args);
+    let keysOnly = false;
+    let jsonOut = false;
+    let raw = false;
+    let otherKey = null;
+    let otherIdentity = null;
+    const pos = [];
+    for (let i = 0; i < rest.length; i++) {
+      const a = rest[i];
+      if (a === '--keys-only') keysOnly = true;
+      else if (a === '--json') jsonOut = true;
+      else if (a === '--raw') raw = true;
+      else if (a === '--other-key' || a === '--other-identity') {
+        const v = rest[++i];
+        if (!v) die(`Missing value for ${a}`, 2);
+        if (a === '--other-key') otherKey = v;
+        else otherIdentity = v;
+      } else pos.push(a);
+    }
+    if (pos.length !== 2) usage(1);
+
+    // values are compared as HMACs under a salt that lives only for this run; no value is kept or printed
+    const salt = crypto.randomBytes(32);
+    const hashed = (entries) =>
+      Object.fromEntries(Object.entries(entries).map(([k, v]) => [k, crypto.createHmac('sha256', salt).update(String(v)).digest('hex')]));
+
+    const otherVaults = new Map();
+    // values as `run`/`export` would produce them (references resolved), or as stored with --raw
+    const categoryOf = (v, svcCat, where) => {
+      enforcePolicy(profile, [], { categories: [svcCat] });
+      const entries = v.data?.[svcCat.service]?.[svcCat.category];
+      if (!entries || Object.keys(entries).length === 0) die(`No secrets matched: ${svcCat.service}:${svcCat.category}${where}`, 3);
+      enforcePolicy(profile, Object.keys(entries).map(k => `${svcCat.service}:${svcCat.category}:${k}`));
+      const specs = Object.keys(entries).map(key => ({ kind: 'exact', service: svcCat.service, category: svcCat.category, key }));
+      try {
+        return v.resolveSpecs(specs, { audit: false, policy: profile, raw }).env;
+      } catch (e) {
+        dieWith(e);
+      }
+    };
+    // a side: a file on disk, <vault-file>#<service>:<category>, or <service>:<category> in this vault
+    const loadSide = async (s) => {
+      const hash = s.lastIndexOf('#');
+      const svcCat = hash === -1 ? null : parseSvcCat(s.slice(hash + 1));
+      if (svcCat && fs.existsSync(s.slice(0, hash))) {
+        const otherPath = path.resolve(s.slice(0, hash));
+        if (otherPath === path.resolve(vaultPath)) return { kind: 'category', label: s, entries: hashed(categoryOf(vault, svcCat, '')) };
+        if (!otherVaults.has(otherPath)) {
+          try {
+            otherVaults.set(otherPath, await openVault({
+              vaultPath: otherPath,
+              keyPath: otherKey ?? keyPath,
+              identityPath: otherIdentity ?? identityPath,
+              passphrase: promptPassphrase,
+              command: 'diff',
+            }));
+          } catch (e) {
+            dieWith(e);
+          }
+        }
+        const other = otherVaults.get(otherPath);
+        return { kind: 'vault', label: s, vault: other, entries: hashed(categoryOf(other, svcCat, ` in ${otherPath}`)) };
+      }
+      if (fs.existsSync(s) && fs.statSync(s).isFile()) {
+        try {
+          return { kind: 'file', label: s, entries: hashed(parseImportFile(fs.readFileSync(s, 'utf8'), importFormatFor(s)).entries) };
+        } catch (e) {
+          die(`Failed to read ${s}: ${e?.message ?? e}`, 2);
+        }
+      }
+      const own = parseSvcCat(s);
+      if (!own) die(`Not a file, <service>:<category> or <vault-file>#<service>:<category>: ${s}`, 2);
+      return { kind: 'category', label: s, entries: hashed(categoryOf(vault, own, '')) };
+    };
+    const [a, b] = [await loadSide(pos[0]), await loadSide(pos[1])];
+
+    const allKeys = [...new Set([...Object.keys(a.entries), ...Object.keys(b.entries)])].sort((x, y) => x.localeCompare(y));
+    const result = { onlyInA: [], onlyInB: [], different: [], same: [] };
+    for (const k of allKeys) {
+      if (!(k in b.entries)) result.onlyInA.push(k);
+      else if (!(k in a.entries)) result.onlyInB.push(k);
+      else if (!keysOnly && a.entries[k] !== b.entries[k]) result.different.push(k);
+      else result.same.push(k);
+    }
+    const drift = result.onlyInA.length + result.onlyInB.length + result.different.length > 0;
+
+    // reading a vault category (even only to compare it) is an access
+    const read = [a, b].filter(x => x.kind !== 'file').map(x => x.label);
+    try {
+      if (read.length) vault.audit({ command: 'diff', specs: read, ...(keysOnly ? { keysOnly } : {}) });
+    } catch (e) {
+      dieWith(e);
+    }
+
+    const sides = { a: { kind: a.kind, source: a.label }, b: { kind: b.kind, source: b.label } };
+    if (GLOBAL_FORMAT === 'openclaw') {
+      sendOpenClaw('diff', { ok: true, code: drift ? 1 : 0, data: { ...sides, keysOnly, drift, ...result } });
+      process.exit(drift ? 1 : 0);
+    }
+    if (jsonOut) {
+      process.stdout.write(JSON.stringify({ ...sides, keysOnly, drift, ...result }, null, 2) + '\n');
+      process.exit(drift ? 1 : 0);
+    }
+    console.log(`--- a: ${a.label}`);
+    console.log(`+++ b: ${b.label}`);
+    const marks = [['onlyInA', '-'], ['onlyInB', '+'], ['different', '~'], ['same', '=']];
+    for (const k of allKeys) {
+      const [, mark] = marks.find(([kind]) => result[kind].includes(k));
+      console.log(`${mark} ${k}`);
+    }
+    console.log(
+      `${result.onlyInA.length} only in a, ${result.onlyInB.length} only in b, ` +
+        `${keysOnly ? '' : `${result.different.length} different, `}${result.same.length} ${keysOnly ? 'in both' : 'same'}`,
+    );
+    process.exit(drift ? 1 : 0);
+  }
+
+  // Copy entries ([[service, category, KEY], [service, category, KEY]] pairs); `move` deletes the sources
+  // (and categories/services left empty). A moved entry keeps all of its metadata (created/updated,
+  // note, history; an overwritten destination value becomes its newest history entry). A copy is a
+  // new value at the destination: only the note and the references flag come along, and the destination
+  // keeps its own history. Returns the save options: { keepMeta, refs }.
+  const placeEntries = (pairs, { move = false } = {}) => {
+    const carried = [];
+    const refs = new Map();
+    for (const [[s, c, k], [s2, c2, k2]] of pairs) {
+      const before = data?.[s2]?.[c2]?.[k2];
+      const value = data[s][c][k];
+      data[s2] ??= {};
+      data[s2][c2] ??= {};
+      data[s2][c2][k2] = value;
+      if (payloadVersion < 2) continue;
+      const src = meta?.[s]?.[c]?.[k] ?? {};
+      const dst = meta?.[s2]?.[c2]?.[k2] ?? {};
+      meta[s2] ??= {};
+      meta[s2][c2] ??= {};
+      refs.set(`${s2}:${c2}:${k2}`, src.refs === true);
+      if (move) {
+        const history = [
+          ...(before != null && before !== value
+            ? [{ value: before, updatedAt: dst.updatedAt ?? null, updatedBy: dst.updatedBy ?? null, ...(dst.refs ? { refs: true } : {}) }]
+            : []),
+          ...(src.history ?? []),
+        ];
+        meta[s2][c2][k2] = { ...src, ...(history.length ? { history } : {}) };
+        carried.push(`${s2}:${c2}:${k2}`);
+      } else if (src.note) {
+        meta[s2][c2][k2] = { ...dst, note: src.note };
+      }
+    }
+    if (!move) return { keepMeta: carried, refs };
+    for (const [[s, c, k]] of pairs) {
+      if (pairs.some(([, to]) => to.join('\0') === [s, c, k].join('\0'))) continue;
+      delete data[s][c][k];
+      if (Object.keys(data[s][c]).length === 0) delete data[s][c];
+      if (Object.keys(data[s]).length === 0) delete data[s];
+    }
+    return { keepMeta: carried, refs };
+  };
+
+  // After a move: entries whose references now point nowhere.
+  const warnDangling = (pairs) => {
+    for (const [[s, c, k]] of pairs) {
+      if (data?.[s]?.[c]?.[k] != null) continue;
+      for (const m of vault.findReferences(`${s}:${c}:${k}`)) {
+        console.error(`WARNING: ${m.service}:${m.category}:${m.key} references ${s}:${c}:${k}, which no longer exists`);
+      }
+    }
+  };
+
   if (sub === 'copy' || sub === 'move') {
-    const [srcStr, dstStr, ...rest] = args;
+    const { profile, rest: cmdArgs } = takeProfileArg(args);
+    const [srcStr, dstStr, ...rest] = cmdArgs;
     const force = rest.includes('--force');
+    const merge = rest.includes('--merge');
     if (!srcStr || !dstStr) usage(1);
 
+    const srcSpec = parseSpec(srcStr);
+    const dstSpec = parseSpec(dstStr);
+
+    // one key: <service>:<category>:<KEY> → <service>:<category>[:<NEW_KEY>]
+    if (srcSpec.kind === 'exact' && !srcSpec.as) {
+      const dstCat = dstSpec.kind === 'exact' && !dstSpec.as ? dstSpec : parseSvcCat(dstStr);
+      if (!dstCat) {
+        die(
+          `Invalid destination. Expected: <service>:<category> or <service>:<category>:<KEY>\n` +
+            `Example: dotkc ${sub} fly.io:acme-app-dev:API_KEY fly.io:acme-app-prod:API_KEY_OLD`,
+          2,
+        );
+      }
+      if (merge) die('--merge applies to whole categories.', 2);
+      const from = [srcSpec.service, srcSpec.category, srcSpec.key];
+      const to = [dstCat.service, dstCat.category, dstSpec.kind === 'exact' ? dstSpec.key : srcSpec.key];
+      enforcePolicy(profile, [from.join(':')]);
+      if (data?.[from[0]]?.[from[1]]?.[from[2]] == null) die(`NOT_FOUND: ${from.join(':')}`, 3);
+      if (from.join('\0') === to.join('\0')) die('Source and destination are the same.', 2);
+      if (data?.[to[0]]?.[to[1]]?.[to[2]] != null && !force) {
+        die(`Destination already exists: ${to.join(':')}\nRefusing to overwrite. Re-run with --force to overwrite it.`, 2);
+      }
+      // the same check as `get` on the source; a destination that is overwritten must be allowed too
+      enforcePolicy(profile, [from.join(':'), ...(data?.[to[0]]?.[to[1]]?.[to[2]] != null ? [to.join(':')] : [])]);
+      const placed = placeEntries([[from, to]], { move: sub === 'move' });
+      write(() => vault.save(data, placed));
+      if (sub === 'move') warnDangling([[from, to]]);
+      console.log('OK');
+      process.exit(0);
+    }
+
     const src = parseSvcCat(srcStr);
     const dst = parseSvcCat(dstStr);
 
     if (!src || !dst) {
       die(
-        `Invalid spec. Expected: <service>:<category>\n` +
+        `Invalid spec. Expected: <service>:<category> or <service>:<category>:<KEY>\n` +
           `Example: dotkc ${sub} fly.io:acme-app-dev fly.io:acme-app-prod`,
         2,
       );
     }
+    if (src.service === dst.service && src.category === dst.category) die('Source and destination are the same.', 2);
 
+    enforcePolicy(profile, [], { categories: [src] });
     const srcObj = data?.[src.service]?.[src.category] ?? null;
     if (!srcObj || Object.keys(srcObj).length === 0) {
       die(`No secrets matched: ${src.service}:${src.category}`, 3);
     }
 
-    data[dst.service] ??= {};
-
-    const dstExists = Boolean(data?.[dst.service]?.[dst.category]) && Object.keys(data[dst.service][dst.category] ?? {}).length > 0;
-    if (dstExists && !force) {
+    const dstObj = data?.[dst.service]?.[dst.category] ?? {};
+    const dstExists = Object.keys(dstObj).length > 0;
+    if (dstExists && !force && !merge) {
       die(
         `Destination already exists: ${dst.service}:${dst.category}\n` +
-          `Refusing to overwrite. Re-run with --force to overwrite destination category.`,
+          `Refusing to overwrite. Re-run with --merge to add the missing keys, or --force to overwrite the destination category.`,
         2,
       );
     }
 
-    // overwrite destination
-    data[dst.service][dst.category] = { ...srcObj };
+    // every source key, and every destination key the copy is compared with or replaces
+    enforcePolicy(profile, [
+      ...Object.keys(srcObj).map((k) => `${src.service}:${src.category}:${k}`),
+      ...Object.keys(dstObj).filter((k) => !merge || k in srcObj).map((k) => `${dst.service}:${dst.category}:${k}`),
+    ]);
+
+    // --merge: add missing keys (and with --force, overwrite differing ones); other destination keys stay
+    const plan = { added: [], overwritten: [], unchanged: [], kept: [] };
+    for (const k of Object.keys(srcObj).sort((a, b) => a.localeCompare(b))) {
+      if (!(k in dstObj)) plan.added.push(k);
+      else if (dstObj[k] === srcObj[k]) plan.unchanged.push(k);
+      else if (force) plan.overwritten.push(k);
+      else plan.kept.push(k);
+    }
+
+    // without --merge, --force replaces the destination category (keys the source lacks are dropped);
+    // kept keys stay in the source of a move
+    if (!merge) {
+      for (const k of Object.keys(dstObj)) if (!(k in srcObj)) delete dstObj[k];
+    }
+    const pairs = [...plan.added, ...plan.overwritten, ...plan.unchanged].map((k) => [
+      [src.service, src.category, k],
+      [dst.service, dst.category, k],
+    ]);
+    const placed = placeEntries(pairs, { move: sub === 'move' });
+
+    write(() => vault.save(data, placed));
+    if (sub === 'move') warnDangling(pairs);
+    if (!merge) {
+      console.log('OK');
+      process.exit(0);
+    }
+    for (const k of plan.added) console.log(`+ ${k}`);
+    for (const k of plan.overwritten) console.log(`~ ${k}`);
+    for (const k of plan.kept) console.log(`! ${k} (differs; kept the destination value${sub === 'move' ? ' and left it in the source' : ''}; --force to overwrite)`);
+    console.log(`OK (${plan.added.length} added, ${plan.overwritten.length} overwritten, ${plan.unchanged.length} unchanged, ${plan.kept.length} kept)`);
+    process.exit(0);
+  }
 
-    if (sub === 'move') {
-      delete data[src.service]?.[src.category];
-      if (data[src.service] && Object.keys(data[src.service]).length === 0) delete data[src.service];
+  if (sub === 'rename') {
+    const { profile, rest } = takeProfileArg(args);
+    const [fromStr, newName, ...extra] = rest;
+    if (!fromStr || !newName || extra.length > 0) usage(1);
+    if (/[:*]/.test(newName) || !newName.trim()) die(`Invalid name: ${newName} (must be non-empty, without ':' or '*')`, 2);
+
+    // <service>, <service>:<category> or <service>:<category>:<KEY>; the new name replaces the last part
+    const sp = fromStr.includes(':') ? parseSpec(fromStr) : { kind: 'service', service: fromStr };
+    const svcCat = sp.kind === 'wildcard' ? parseSvcCat(fromStr) : null;
+    let from;
+    let to;
+    if (sp.kind === 'service') {
+      from = [sp.service];
+      to = [newName];
+    } else if (svcCat) {
+      from = [svcCat.service, svcCat.category];
+      to = [svcCat.service, newName];
+    } else if (sp.kind === 'exact' && !sp.as) {
+      from = [sp.service, sp.category, sp.key];
+      to = [sp.service, sp.category, newName];
+    } else {
+      die(`Invalid spec. Expected: <service>, <service>:<category> or <service>:<category>:<KEY>`, 2);
+    }
+    const at = (parts) => parts.reduce((o, p) => o?.[p], data);
+    if (from.length === 3) enforcePolicy(profile, [from.join(':')]);
+    if (from.length === 2) enforcePolicy(profile, [], { categories: [{ service: from[0], category: from[1] }] });
+    if (at(from) == null) die(`NOT_FOUND: ${from.join(':')}`, 3);
+    if (from.at(-1) === newName) die('The new name is the same as the old one.', 2);
+    if (at(to) != null) {
+      die(
+        `Already exists: ${to.join(':')}\n` +
+          `Use \`dotkc move\` to merge into it (\`--merge\` for categories, \`--force\` to overwrite).`,
+        2,
+      );
     }
 
-    save(data);
+    // every entry under the renamed node, with its new location
+    const pairs = [];
+    for (const [c, kv] of Object.entries(from.length === 1 ? data[from[0]] : { [from[1]]: data[from[0]][from[1]] })) {
+      for (const k of Object.keys(kv)) {
+        if (from.length === 3 && k !== from[2]) continue;
+        const dest = [to[0], from.length === 2 ? to[1] : c, from.length === 3 ? to[2] : k];
+        pairs.push([[from[0], c, k], dest]);
+      }
+    }
+    enforcePolicy(profile, pairs.map(([from]) => from.join(':')));
+    const placed = placeEntries(pairs, { move: true });
+    write(() => vault.save(data, placed));
+    warnDangling(pairs);
     console.log('OK');
     process.exit(0);
   }
 
   if (sub === 'import') {
-    const [service, category, fileArg] = args;
-    if (!service || !category) usage(1);
+    const { profile, rest } = takeProfileArg(args);
+    let all = false;
+    let dryRun = false;
+    let noOverwrite = false;
+    let jsonOut = false;
+    let only = null;
+    let exclude = [];
+    const pos = [];
+    for (let i = 0; i < rest.length; i++) {
+      const a = rest[i];
+      if (a === '--all') all = true;
+      else if (a === '--dry-run') dryRun = true;
+      else if (a === '--no-overwrite') noOverwrite = true;
+      else if (a === '--json') jsonOut = true;
+      else if (a === '--keys' || a === '--exclude') {
+        const v = rest[++i];
+        if (!v) die(`Missing value for ${a}`, 2);
+        const list = v.split(',').map(x => x.trim()).filter(Boolean);
+        if (a === '--keys') only = [...(only ?? []), ...list];
+        else exclude = [...exclude, ...list];
+      } else pos.push(a);
+    }
+    const [service, category, fileArg] = pos;
+    if (!service || !category || pos.length > 3) usage(1);
+    if (all && only) die('Use either --all or --keys.', 2);
 
     const filePath = path.isAbsolute(fileArg ?? '.env') ? (fileArg ?? '.env') : path.join(process.cwd(), fileArg ?? '.env');
-    if (!fs.existsSync(filePath)) die(`Dotenv file not found: ${filePath}`, 2);
+    if (!fs.existsSync(filePath)) die(`File not found: ${filePath}`, 2);
 
-    const raw = fs.readFileSync(filePath, 'utf8');
-    const parsed = dotenv.parse(raw);
-    const keys = Object.keys(parsed).sort((a, b) => a.localeCompare(b));
-    if (keys.length === 0) die(`No entries found in ${filePath}`, 2);
+    // --format (parsed globally) overrides the format guessed from the file name
+    const format = GLOBAL_FORMAT ?? importFormatFor(filePath);
+    if (!IMPORT_FORMATS.includes(format)) die(`Unknown import format: ${format} (expected ${IMPORT_FORMATS.join(', ')})`, 2);
 
-    const picked = await pickMany({
-      title: `dotkc vault import → ${service}:${category}`,
-      hint: `File: ${filePath}\nKeys: j/k or ↑/↓ to move, space to toggle, a=all, d=none, enter=import, q/esc=cancel`,
-      items: keys,
-    });
+    let parsed;
+    let skipped;
+    try {
+      ({ entries: parsed, skipped } = parseImportFile(fs.readFileSync(filePath, 'utf8'), format));
+    } catch (e) {
+      die(`Failed to read ${filePath}: ${e?.message ?? e}`, 2);
+    }
+    for (const k of skipped) console.error(`WARNING: skipped ${k} (not a literal value)`);
+
+    // --keys/--exclude take names or * globs
+    const matcher = (patterns) => {
+      const res = patterns.map(globToRegExp);
+      return (k) => res.some(re => re.test(k));
+    };
+    const excluded = matcher(exclude);
+    let keys = Object.keys(parsed).filter(k => !excluded(k)).sort((a, b) => a.localeCompare(b));
+    if (only) {
+      const missing = only.filter(p => !Object.keys(parsed).some(k => globToRegExp(p).test(k)));
+      if (missing.length > 0) die(`Not found in ${filePath}: ${missing.join(', ')}`, 3);
+      const picked = matcher(only);
+      keys = keys.filter(picked);
+    }
+    // same rules as `dotkc set`: no empty values, no names that cannot be a key
+    for (const k of keys.filter(k => parsed[k] === '')) console.error(`WARNING: skipped ${k} (empty value)`);
+    keys = keys.filter(k => parsed[k] !== '');
+    const badNames = keys.filter(k => checkKeyName(k));
+    if (badNames.length > 0) {
+      const names = badNames.map(k => JSON.stringify(k)).join(', ');
+      die(`Invalid key names in ${filePath}: ${names} (no whitespace, ':', '=' or '*')\nLeave them out with --exclude.`, 2);
+    }
+    if (keys.length === 0) die(`No entries found in ${filePath}`, 2);
 
-    if (picked == null) {
-      console.error('Cancelled.');
-      process.exit(1);
+    let picked = keys;
+    if (!all && !only) {
+      if (!process.stdin.isTTY) die('Interactive selection requires a TTY; pass --all or --keys A,B.', 2);
+      picked = await pickMany({
+        title: `dotkc vault import → ${service}:${category}`,
+        hint: `File: ${filePath}\nKeys: j/k or ↑/↓ to move, space to toggle, a=all, d=none, enter=import, q/esc=cancel\n` +
+          '(non-interactive: --all or --keys A,B)',
+        items: keys,
+      });
+      if (picked == null) {
+        console.error('Cancelled.');
+        process.exit(1);
+      }
+      if (picked.length === 0) die('Nothing selected.');
     }
-    if (picked.length === 0) die('Nothing selected.');
 
-    data[service] ??= {};
-    data[service][category] ??= {};
-    let written = 0;
+    // the plan compares the file with the stored values
+    enforcePolicy(profile, picked.map(k => `${service}:${category}:${k}`));
+    const current = data?.[service]?.[category] ?? {};
+    const plan = { added: [], overwritten: [], unchanged: [], skipped: [] };
     for (const k of picked) {
-      const v = parsed[k];
-      if (typeof v !== 'string') continue;
-      data[service][category][k] = v;
-      written++;
+      if (!(k in current)) plan.added.push(k);
+      else if (String(current[k]) === parsed[k]) plan.unchanged.push(k);
+      else if (noOverwrite) plan.skipped.push(k);
+      else plan.overwritten.push(k);
     }
 
-    save(data);
-    console.log(`OK (${written} secrets imported into vault)`);
+    if (!dryRun && plan.added.length + plan.overwritten.length > 0) {
+      data[service] ??= {};
+      data[service][category] ??= {};
+      for (const k of [...plan.added, ...plan.overwritten]) data[service][category][k] = parsed[k];
+      save(data);
+    }
+    const literal = [...plan.added, ...plan.overwritten].filter(k => hasReferenceSyntax(parsed[k]));
+    if (literal.length && !jsonOut && !dryRun) {
+      console.error(`Note: ${literal.join(', ')} contain${literal.length === 1 ? 's' : ''} \${...}; imported as plain text (\`dotkc set --refs\` makes a value a reference).`);
+    }
+
+    if (jsonOut) {
+      process.stdout.write(JSON.stringify({ service, category, file: filePath, format, dryRun, ...plan }, null, 2) + '\n');
+      process.exit(0);
+    }
+    const marks = [['added', '+'], ['overwritten', '~'], ['unchanged', '='], ['skipped', '!']];
+    for (const [kind, mark] of marks) {
+      for (const k of plan[kind]) console.log(`${mark} ${k}${kind === 'skipped' ? ' (exists; --no-overwrite)' : ''}`);
+    }
+    const summary = `${plan.added.length} added, ${plan.overwritten.length} overwritten, ${plan.unchanged.length} unchanged, ${plan.skipped.length} skipped`;
+    console.log(dryRun ? `Dry run: ${summary}; nothing written.` : `OK (${summary})`);
+    process.exit(0);
+  }
+
+  if (sub === 'migrate-from') {
+    const { profile, rest } = takeProfileArg(args);
+    let dryRun = false;
+    let yes = false;
+    let noOverwrite = false;
+    let jsonOut = false;
+    let allFields = false;
+    let exclude = [];
+    const mapping = { ...DEFAULT_MAPPING };
+    const pos = [];
+    for (let i = 0; i < rest.length; i++) {
+      const a = rest[i];
+      if (a === '--dry-run') dryRun = true;
+      else if (a === '--yes' || a === '-y') yes = true;
+      else if (a === '--no-overwrite') noOverwrite = true;
+      else if (a === '--json') jsonOut = true;
+      else if (a === '--all-fields') allFields = true;
+      else if (a === '--map-service' || a === '--map-category' || a === '--map-key' || a === '--exclude') {
+        const v = rest[++i];
+        if (v == null || v === '') die(`Missing value for ${a}`, 2);
+        if (a === '--exclude') exclude = [...exclude, ...v.split(',').map(x => x.trim()).filter(Boolean)];
+        else mapping[a.slice('--map-'.length)] = v;
+      } else pos.push(a);
+    }
+    const [tool, exportArg] = pos;
+    if (!tool || !exportArg || pos.length > 2) usage(1);
+    if (!MIGRATE_TOOLS.includes(tool)) die(`Unknown tool: ${tool} (expected ${MIGRATE_TOOLS.join(', ')})`, 2);
+    const mappingError = checkMapping(mapping);
+    if (mappingError) die(mappingError, 2);
+
+    const exportPath = path.resolve(exportArg);
+    let mapped;
+    let leftOut = 0;
+    try {
+      // usernames, URLs, notes, card/identity details only with --all-fields
+      const records = readExport(tool, exportPath);
+      const picked = allFields ? records : records.filter(r => r.secret);
+      leftOut = records.length - picked.length;
+      mapped = mapRecords(tool, picked, mapping);
+    } catch (e) {
+      die(`Failed to read ${exportPath}: ${e?.message ?? e}`, 2);
+    }
+
+    // --exclude takes KEY names or * globs (after mapping)
+    const excludeRes = exclude.map(globToRegExp);
+    const targets = mapped.targets.filter(t => !excludeRes.some(re => re.test(t.key)));
+    const skipped = mapped.skipped;
+    if (targets.length === 0) die(`No secrets found in ${exportPath}${leftOut ? ` (${leftOut} non-secret fields left out; --all-fields imports them)` : ''}`, 2);
+
+    enforcePolicy(profile, targets.map(t => `${t.service}:${t.category}:${t.key}`));
+    const plan = { added: [], overwritten: [], unchanged: [], skipped: [] };
+    for (const t of targets) {
+      const current = data?.[t.service]?.[t.category];
+      const entry = { source: t.source, target: `${t.service}:${t.category}:${t.key}` };
+      if (!current || !(t.key in current)) plan.added.push(entry);
+      else if (String(current[t.key]) === t.value) plan.unchanged.push(entry);
+      else if (noOverwrite) plan.skipped.push({ ...entry, reason: 'exists; --no-overwrite' });
+      else plan.overwritten.push(entry);
+    }
+    plan.skipped.push(...skipped);
+    const writes = plan.added.length + plan.overwritten.length;
+    const summary = `${plan.added.length} added, ${plan.overwritten.length} overwritten, ${plan.unchanged.length} unchanged, ${plan.skipped.length} skipped`;
+
+    // preview (targets and sources only, never values)
+    if (!jsonOut) {
+      const marks = [['added', '+'], ['overwritten', '~'], ['unchanged', '='], ['skipped', '!']];
+      for (const [kind, mark] of marks) {
+        for (const e of plan[kind]) {
+          console.log(e.target ? `${mark} ${e.target}  ← ${e.source}${e.reason ? ` (${e.reason})` : ''}` : `${mark} ${e.source} (${e.reason})`);
+        }
+      }
+      if (leftOut) console.error(`${leftOut} non-secret fields (usernames, URLs, notes, …) left out; --all-fields imports them too.`);
+    }
+
+    let confirmed = !dryRun && writes > 0;
+    if (confirmed && !yes) {
+      if (!process.stdin.isTTY) die(`${summary}. Nothing written: re-run with --yes to write (or --dry-run to only preview).`, 2);
+      confirmed = await confirmPrompt(`Write ${writes} secret${writes === 1 ? '' : 's'} to the vault?`, { defaultNo: true });
+      if (!confirmed) {
+        console.error('Cancelled.');
+        process.exit(1);
+      }
+    }
+    if (confirmed) {
+      const byTarget = new Map(targets.map(t => [`${t.service}:${t.category}:${t.key}`, t]));
+      for (const { target } of [...plan.added, ...plan.overwritten]) {
+        const t = byTarget.get(target);
+        data[t.service] ??= {};
+        data[t.service][t.category] ??= {};
+        data[t.service][t.category][t.key] = t.value;
+      }
+      save(data);
+      const literal = [...plan.added, ...plan.overwritten].filter(e => hasReferenceSyntax(byTarget.get(e.target).value));
+      if (literal.length && !jsonOut) {
+        console.error(`Note: ${literal.length} imported value${literal.length === 1 ? ' contains' : 's contain'} \${...}; stored as plain text (\`dotkc set --refs\` makes a value a reference).`);
+      }
+    }
+
+    if (jsonOut) {
+      process.stdout.write(JSON.stringify({ tool, export: exportPath, mapping, allFields, leftOut, dryRun, written: confirmed, ...plan }, null, 2) + '\n');
+      process.exit(0);
+    }
+    console.log(confirmed ? `OK (${summary})` : `${dryRun ? 'Dry run: ' : ''}${summary}; nothing written.`);
     process.exit(0);
   }
 
   if (sub === 'run') {
     // mirror keychain run UX: inspect mode if `--` omitted
     const sep = args.indexOf('--');
-    const pre = sep === -1 ? args : args.slice(0, sep);
+    const { profile, rest: pre } = takeProfileArg(sep === -1 ? args : args.slice(0, sep));
     const execCmd = sep === -1 ? null : args[sep + 1];
     const execArgs = sep === -1 ? [] : args.slice(sep + 2);
 
@@ -911,7 +2481,12 @@ if (VAULT_COMMANDS.has(cmd)) {
     const inspect = sep === -1;
     let unsafeValues = false;
     let jsonOut = false;
+    let withProvenance = false;
     let format = null;
+    let maskOutput = false;
+    let raw = false;
+    let strict = false;
+    let onConflict = 'last';
 
     const specParts = [];
     for (let i = 0; i < pre.length; i++) {
@@ -942,6 +2517,24 @@ if (VAULT_COMMANDS.has(cmd)) {
         enableDotenv = true;
         continue;
       }
+      if (a === '--mask-output') {
+        maskOutput = true;
+        continue;
+      }
+      if (a === '--raw') {
+        raw = true;
+        continue;
+      }
+      if (a === '--strict') {
+        strict = true;
+        continue;
+      }
+      const oc = takeOnConflictArg(a, pre[i + 1], i);
+      if (oc) {
+        onConflict = checkOnConflict(oc.mode);
+        i = oc.i;
+        continue;
+      }
       if (a === '--unsafe-values') {
         unsafeValues = true;
         continue;
@@ -950,6 +2543,10 @@ if (VAULT_COMMANDS.has(cmd)) {
         jsonOut = true;
         continue;
       }
+      if (a === '--provenance') {
+        withProvenance = true;
+        continue;
+      }
       if (a === '--format') {
         const f = pre[++i];
         if (!f) die('Missing value for --format', 2);
@@ -959,26 +2556,17 @@ if (VAULT_COMMANDS.has(cmd)) {
       specParts.push(a);
     }
 
-    const readSpecFile = (fp) => {
-      const abs = path.isAbsolute(fp) ? fp : path.join(process.cwd(), fp);
-      if (!fs.existsSync(abs)) die(`Spec file not found: ${abs}`, 2);
-      const raw = fs.readFileSync(abs, 'utf8');
-      return raw
-        .split(/\r?\n/)
-        .map((l) => l.replace(/#.*/, '').trim())
-        .filter(Boolean)
-        .flatMap((l) => l.split(',').map((x) => x.trim()).filter(Boolean));
-    };
-
-    const fileSpecs = specFiles.flatMap(readSpecFile);
-    const specStr = [...fileSpecs, ...specParts].join(' ').trim();
-    if (!specStr) usage(1);
-
-    const specs = specStr
-      .split(',')
+    let fileSpecs;
+    try {
+      fileSpecs = specFiles.flatMap(readSpecFile);
+    } catch (e) {
+      dieWith(e);
+    }
+    const specs = [...fileSpecs, ...specParts.join(' ').split(',')]
       .map(s => s.trim())
       .filter(Boolean)
       .map(parseSpec);
+    if (specs.length === 0) usage(1);
 
     // inherit global openclaw output mode (if provided via --openclaw/--format)
     if (!format && GLOBAL_FORMAT === 'openclaw') format = 'openclaw';
@@ -987,7 +2575,7 @@ if (VAULT_COMMANDS.has(cmd)) {
     if (invalid) {
       die(
         `Invalid spec: ${invalid.input}\n` +
-          'Expected: <service>:<category> or <service>:<category>:<KEY>\n' +
+          'Expected: <service>:<category>[@<PREFIX>] or <service>:<category>:<KEY>[=<NAME>]\n' +
           'Example: dotkc run fly.io:acme-app-dev',
         2,
       );
@@ -995,45 +2583,86 @@ if (VAULT_COMMANDS.has(cmd)) {
 
     const env = { ...process.env };
 
+    const dotenvVars = {};
     if (enableDotenv) {
       const cwd = process.cwd();
       const defaults = [path.join(cwd, '.env'), path.join(cwd, '.env.local')];
       if (!noDefaultDotenv) {
-        for (const f of defaults) loadDotenvIntoEnv(env, f, dotenvOverride);
+        for (const f of defaults) loadDotenvIntoEnv(dotenvVars, f, dotenvOverride);
       }
-      for (const f of dotenvFiles) loadDotenvIntoEnv(env, path.isAbsolute(f) ? f : path.join(cwd, f), dotenvOverride);
+      for (const f of dotenvFiles) loadDotenvIntoEnv(dotenvVars, path.resolve(cwd, f), dotenvOverride);
     }
 
-    const resolved = {};
-
-    for (const sp of specs) {
-      if (sp.kind === 'exact') {
-        const v = data?.[sp.service]?.[sp.category]?.[sp.key];
-        if (v == null) die(`Missing secret: ${sp.service}:${sp.category}:${sp.key}`, 3);
-        resolved[sp.key] = v;
-        continue;
-      }
+    if (!inspect) {
+      if (format) die('The --format flag is only supported in inspect mode (omit "-- <cmd>").', 2);
+      if (jsonOut || unsafeValues || withProvenance) die('Inspect flags (--json/--unsafe-values/--provenance) require omitting "-- <cmd>".', 2);
+      if (!execCmd) usage(1);
+    } else if (maskOutput) {
+      die('--mask-output requires a command ("-- <cmd>").', 2);
+    } else if (withProvenance && !jsonOut && !format) {
+      die('--provenance goes with --json (--format openclaw always includes it).', 2);
+    }
 
-      const cat = data?.[sp.service]?.[sp.category] ?? null;
-      if (!cat || Object.keys(cat).length === 0) die(`No secrets matched: ${sp.service}:${sp.category}`, 3);
+    // values that leave dotkc unredacted are audited before they are resolved for use
+    let auditEntry = false;
+    if (!inspect) auditEntry = { command: 'run', exec: path.basename(execCmd) };
+    else if (unsafeValues) auditEntry = { command: 'run --unsafe-values' };
+
+    let resolved;
+    let keys;
+    let sources;
+    let provenance;
+    let expansions;
+    let specConflicts;
+    try {
+      if (!inspect) checkPolicyExec(profile, execCmd);
+      else if (unsafeValues) checkPolicyUnsafeValues(profile, 'run --unsafe-values');
+      ({ env: resolved, keys, sources, provenance, expansions, conflicts: specConflicts } = vault.resolveSpecs(specs, {
+        audit: auditEntry,
+        policy: profile,
+        raw,
+        strict,
+        onConflict,
+      }));
+    } catch (e) {
+      dieWith(e);
+    }
 
-      for (const [k, v] of Object.entries(cat)) {
-        if (!/^[A-Z_][A-Z0-9_]*$/.test(k)) continue;
-        resolved[k] = v;
+    // Every variable dotkc sets, with its provenance. A vault value replaces a dotenv or inherited one
+    // (--on-conflict=first keeps that one instead).
+    const vars = {};
+    for (const [k, d] of Object.entries(dotenvVars)) vars[k] = { value: d.value, source: 'dotenv', path: d.path };
+    const conflictsByName = new Map(specConflicts.map(c => [c.name, c]));
+    for (const k of keys) {
+      const ours = { value: resolved[k], source: 'vault', ...provenance[k] };
+      const prev = vars[k] ?? (k in process.env ? { value: process.env[k], source: 'inherited' } : null);
+      if (prev && String(prev.value) !== String(ours.value)) {
+        const c = conflictsByName.get(k) ?? { name: k, candidates: [ours.entry], used: ours.entry };
+        c.candidates.unshift(provenanceLabel(prev));
+        if (onConflict === 'first') {
+          c.used = provenanceLabel(prev);
+          vars[k] = prev;
+        } else {
+          vars[k] = ours;
+        }
+        conflictsByName.set(k, c);
+        continue;
       }
+      vars[k] = ours;
+    }
+    const conflicts = [...conflictsByName.values()].sort((a, b) => a.name.localeCompare(b.name));
+    if (onConflict === 'error' && conflicts.length > 0) {
+      die(`Conflicting values for:\n${conflicts.map(c => `  ${c.name}: ${c.candidates.join(', ')}`).join('\n')}`, 2);
     }
+    const names = Object.keys(vars).sort((a, b) => a.localeCompare(b));
+    const origins = Object.fromEntries(names.map(k => [k, (({ value, ...p }) => p)(vars[k])]));
 
-    for (const [k, v] of Object.entries(resolved)) env[k] = v;
+    const warnings = [...unmatchedPatterns(specs, expansions).map(p => `No secrets matched: ${p}`), ...conflictWarnings(conflicts)];
+    if (!format) for (const w of warnings) console.error(`WARNING: ${w}`);
 
-    const redact = (v) => {
-      const s = String(v ?? '');
-      const len = s.length;
-      if (len <= 8) return `*** (len=${len})`;
-      return `${s.slice(0, 4)}…${s.slice(-4)} (len=${len})`;
-    };
+    for (const k of names) env[k] = vars[k].value;
 
     if (inspect) {
-      const keys = Object.keys(resolved).sort((a, b) => a.localeCompare(b));
       const warnUnsafe = () => {
         console.error('WARNING: Printing FULL secret values to stdout.');
         console.error('They may be captured by terminal scrollback, shell logging, CI logs, or screen recordings.');
@@ -1046,17 +2675,18 @@ if (VAULT_COMMANDS.has(cmd)) {
         if (unsafeValues) warnUnsafe();
 
         const envOut = {};
-        for (const k of keys) envOut[k] = unsafeValues ? resolved[k] : redact(resolved[k]);
+        for (const k of names) envOut[k] = unsafeValues ? vars[k].value : redact(vars[k].value);
 
         const out = {
           format: 'openclaw',
           redacted: !unsafeValues,
-          specs: specs.map((s) => {
-            if (s.kind === 'exact') return `${s.service}:${s.category}:${s.key}`;
-            if (s.kind === 'wildcard') return `${s.service}:${s.category}`;
-            return s.input;
-          }),
+          specs: specs.map(specToString),
           env: envOut,
+          sources,
+          provenance: origins,
+          expansions,
+          conflicts,
+          warnings,
         };
 
         process.stdout.write(JSON.stringify(out, null, 2) + '\n');
@@ -1065,22 +2695,53 @@ if (VAULT_COMMANDS.has(cmd)) {
 
       if (jsonOut) {
         const obj = {};
-        for (const k of keys) obj[k] = unsafeValues ? resolved[k] : redact(resolved[k]);
+        for (const k of names) obj[k] = unsafeValues ? vars[k].value : redact(vars[k].value);
         if (unsafeValues) warnUnsafe();
-        process.stdout.write(JSON.stringify(obj, null, 2) + '\n');
+        process.stdout.write(JSON.stringify(jsonShape(obj, { specs, withProvenance, provenance: origins, expansions, conflicts }), null, 2) + '\n');
         process.exit(0);
       }
 
       if (unsafeValues) warnUnsafe();
-      for (const k of keys) {
-        process.stdout.write(`${k}=${unsafeValues ? resolved[k] : redact(resolved[k])}\n`);
+      for (const k of names) {
+        process.stdout.write(`${k}=${unsafeValues ? vars[k].value : redact(vars[k].value)}\n`);
       }
       process.exit(0);
     }
 
-    if (format) die('The --format flag is only supported in inspect mode (omit "-- <cmd>").', 2);
-    if (jsonOut || unsafeValues) die('Inspect flags (--json/--unsafe-values) require omitting "-- <cmd>".', 2);
-    if (!execCmd) usage(1);
+    if (maskOutput) {
+      // stdin stays attached (interactive tools keep working); stdout/stderr go through the masker.
+      // They are pipes now, so hint color support to the child when we write to a terminal.
+      if (process.stdout.isTTY && env.FORCE_COLOR == null && env.NO_COLOR == null) env.FORCE_COLOR = '1';
+      const child = spawn(execCmd, execArgs, { stdio: ['inherit', 'pipe', 'pipe'], env, shell: false });
+      const values = Object.values(resolved);
+      for (const [from, to] of [[child.stdout, process.stdout], [child.stderr, process.stderr]]) {
+        const masker = createMasker(values);
+        let idle = null;
+        from.on('data', (chunk) => {
+          clearTimeout(idle);
+          to.write(masker.push(chunk));
+          // no more output coming for now (e.g. a prompt): do not keep a held-back tail from the terminal
+          if (masker.pending()) idle = setTimeout(() => to.write(masker.flush()), MASK_IDLE_FLUSH_MS);
+        });
+        from.on('end', () => {
+          clearTimeout(idle);
+          to.write(masker.flush());
+        });
+      }
+      const onSignal = (sig) => child.kill(sig);
+      process.on('SIGINT', onSignal);
+      process.on('SIGTERM', onSignal);
+      child.on('error', (e) => die(`Failed to run ${execCmd}: ${e?.message ?? String(e)}`, 2));
+      // 'close' fires after the child's output is fully read; wait for our writes before exiting
+      const { code, signal } = await new Promise((resolve) => child.on('close', (c, sig) => resolve({ code: c, signal: sig })));
+      await new Promise((r) => process.stdout.write('', () => process.stderr.write('', r)));
+      if (signal) {
+        process.off('SIGINT', onSignal);
+        process.off('SIGTERM', onSignal);
+        process.kill(process.pid, signal);
+      }
+      process.exit(code ?? 1);
+    }
 
     const child = spawn(execCmd, execArgs, { stdio: 'inherit', env, shell: false });
     child.on('exit', (code, signal) => {
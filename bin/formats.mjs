@@ -0,0 +1,90 @@
+// Output formats for `dotkc export --format <name>`. Each one escapes values so that the consumer
+// reads back exactly what is stored (multi-line values, quotes, `#`, `$`, spaces); a value a format
+// cannot represent is an error (err.code === 'INVALID') rather than a silently broken file.
+
+import crypto from 'node:crypto';
+
+export const EXPORT_FORMATS = ['dotenv', 'json', 'shell', 'docker-env', 'k8s-secret', 'github-env', 'systemd'];
+
+function formatError(message) {
+  const err = new Error(message);
+  err.code = 'INVALID';
+  return err;
+}
+
+const PLAIN_RE = /^[A-Za-z0-9_./:@%+,=-]*$/;
+
+// dotenv (as parsed by the `dotenv` package): unquoted when safe, else the first quoting that keeps the
+// value literal (single quotes and backticks are not unescaped; double quotes only turn "\n" into a
+// line break, so they are used for values without backslashes).
+function dotenvValue(k, v) {
+  if (PLAIN_RE.test(v)) return v;
+  if (!v.includes("'")) return `'${v}'`;
+  if (!v.includes('"') && !v.includes('\\')) return `"${v}"`;
+  if (!v.includes('`')) return `\`${v}\``;
+  throw formatError(`${k}: the value contains ', " and \` quotes, which a dotenv file cannot hold`);
+}
+
+function shellQuote(v) {
+  return `'${v.replaceAll("'", `'\\''`)}'`;
+}
+
+// systemd EnvironmentFile=: double quotes keep line breaks; \ " ` $ are escaped.
+function systemdValue(v) {
+  return `"${v.replace(/[\\"`$]/g, '\\$&')}"`;
+}
+
+function singleLine(format, k, v) {
+  if (/[\r\n]/.test(v)) throw formatError(`${k}: the value spans several lines, which ${format} files cannot hold`);
+  return v;
+}
+
+// Kubernetes object names: lowercase alphanumerics, '-' and '.'.
+export function k8sName(s) {
+  const name = String(s ?? '')
+    .toLowerCase()
+    .replace(/[^a-z0-9.-]+/g, '-')
+    .replace(/^[^a-z0-9]+|[^a-z0-9]+$/g, '')
+    .slice(0, 253);
+  return name || 'dotkc';
+}
+
+// `env`: name → value (already redacted unless full values were asked for). `redacted` only changes the
+// k8s manifest (readable stringData instead of base64 data); `name` is its metadata.name.
+export function formatEnv(format, env, keys, { name = 'dotkc', redacted = false } = {}) {
+  const lines = [];
+  if (format === 'json') {
+    return JSON.stringify(Object.fromEntries(keys.map((k) => [k, String(env[k])])), null, 2) + '\n';
+  }
+  if (format === 'k8s-secret') {
+    lines.push('apiVersion: v1', 'kind: Secret', 'metadata:', `  name: ${k8sName(name)}`, 'type: Opaque');
+    lines.push(redacted ? 'stringData:' : 'data:');
+    if (keys.length === 0) lines[lines.length - 1] += ' {}';
+    for (const k of keys) {
+      const v = String(env[k]);
+      lines.push(`  ${k}: ${redacted ? JSON.stringify(v) : Buffer.from(v, 'utf8').toString('base64')}`);
+    }
+    return lines.join('\n') + '\n';
+  }
+  for (const k of keys) {
+    const v = String(env[k]);
+    if (format === 'dotenv') lines.push(`${k}=${dotenvValue(k, v)}`);
+    else if (format === 'shell') lines.push(`export ${k}=${shellQuote(v)}`);
+    else if (format === 'docker-env') lines.push(`${k}=${singleLine('docker env', k, v)}`);
+    else if (format === 'systemd') lines.push(`${k}=${systemdValue(v)}`);
+    else if (format === 'github-env') {
+      if (!/[\r\n]/.test(v)) {
+        lines.push(`${k}=${v}`);
+        continue;
+      }
+      // multi-line values use GitHub's heredoc syntax with a delimiter that cannot occur in the value
+      let delimiter;
+      do delimiter = `ghadelimiter_${crypto.randomUUID()}`;
+      while (v.includes(delimiter));
+      lines.push(`${k}<<${delimiter}`, v, delimiter);
+    } else {
+      throw formatError(`Unknown export format: ${format} (expected ${EXPORT_FORMATS.join('|')})`);
+    }
+  }
+  return lines.length ? lines.join('\n') + '\n' : '';
+}
@@ -0,0 +1,231 @@
+// Input formats for `dotkc import`: dotenv, JSON, YAML, shell `export` scripts and Kubernetes Secret
+// manifests (JSON or YAML; `data:` is base64-decoded, `stringData:` wins over it as in Kubernetes).
+
+import path from 'node:path';
+
+import dotenv from 'dotenv';
+import YAML from 'yaml';
+
+export const IMPORT_FORMATS = ['dotenv', 'json', 'yaml', 'shell', 'k8s-secret'];
+
+function importError(message) {
+  const err = new Error(message);
+  err.code = 'INVALID';
+  return err;
+}
+
+// By extension: .json, .yaml/.yml, .sh/.bash/.zsh; anything else is read as dotenv. Kubernetes Secrets
+// are recognised by their content (kind: Secret), so they need no format of their own.
+export function importFormatFor(filePath) {
+  const ext = path.extname(String(filePath ?? '')).toLowerCase();
+  if (ext === '.json') return 'json';
+  if (ext === '.yaml' || ext === '.yml') return 'yaml';
+  if (['.sh', '.bash', '.zsh'].includes(ext)) return 'shell';
+  return 'dotenv';
+}
+
+// --- YAML ---
+
+// All documents of a YAML stream ("---" separated). Scalars keep their source text (`PORT: 0800`
+// stays "0800", `DEBUG: true` stays "true"); only null (`~`, `null`, empty) is not a string.
+export function parseYaml(text) {
+  const docs = YAML.parseAllDocuments(String(text), { prettyErrors: true });
+  const out = [];
+  for (const doc of docs) {
+    if (doc.errors.length) throw importError(`Invalid YAML: ${doc.errors[0].message}`);
+    YAML.visit(doc, {
+      Scalar(_, node) {
+        if (node.value != null && typeof node.value !== 'string') node.value = node.source;
+      },
+    });
+    const value = doc.toJS();
+    if (value != null) out.push(value);
+  }
+  return out;
+}
+
+// --- shell ---
+
+// `export KEY=value` / `KEY=value` assignments with POSIX quoting ('…', "…", \x), several per line or
+// `;`-separated; other commands are ignored. Values that need the shell ($VAR, `cmd`) are not evaluated;
+// those keys are skipped. `KEY=value cmd` only sets KEY for cmd, so such lines are rejected.
+function parseShell(text) {
+  const out = {};
+  const skipped = [];
+  const s = String(text);
+  let i = 0;
+  let lineNo = 1;
+
+  // `$(…)`, `${…}` and `…` are copied as-is (they make the value need the shell)
+  const substitution = () => {
+    const start = i;
+    if (s[i] === '`') {
+      i = s.indexOf('`', i + 1);
+    } else {
+      const [open, close] = s[i + 1] === '(' ? ['(', ')'] : ['{', '}'];
+      let depth = 0;
+      for (i += 1; i < s.length; i++) {
+        if (s[i] === open) depth++;
+        else if (s[i] === close && --depth === 0) break;
+      }
+    }
+    if (i === -1 || i >= s.length) throw importError(`Shell line ${lineNo}: unterminated ${s.slice(start, start + 2)}`);
+    i++;
+    const raw = s.slice(start, i);
+    lineNo += raw.split('\n').length - 1;
+    return raw;
+  };
+
+  // one simple command: its words, as { text, name (for NAME=value), quoted, expands }
+  const command = () => {
+    const words = [];
+    let w = null;
+    while (i < s.length) {
+      const c = s[i];
+      if (!w && c === '#') {
+        while (i < s.length && s[i] !== '\n') i++;
+        continue;
+      }
+      if (c === ' ' || c === '\t') {
+        if (w) words.push(w);
+        w = null;
+        i++;
+        continue;
+      }
+      if ('\n;&|'.includes(c)) {
+        i += s[i + 1] === c && c !== '\n' ? 2 : 1;
+        if (c === '\n') lineNo++;
+        break;
+      }
+      w ??= { text: '', name: null, quoted: false, expands: false };
+      if (c === '=' && !w.name && !w.quoted && /^[A-Za-z_][A-Za-z0-9_]*$/.test(w.text)) {
+        w.name = w.text;
+        w.text = '';
+        i++;
+      } else if (c === "'") {
+        const end = s.indexOf("'", i + 1);
+        if (end === -1) throw importError(`Shell line ${lineNo}: unterminated '…' value`);
+        w.text += s.slice(i + 1, end);
+        lineNo += s.slice(i, end).split('\n').length - 1;
+        w.quoted = true;
+        i = end + 1;
+      } else if (c === '"') {
+        const start = lineNo;
+        i++;
+        while (i < s.length && s[i] !== '"') {
+          if (s[i] === '\\' && '"\\$`\n'.includes(s[i + 1])) {
+            if (s[i + 1] === '\n') lineNo++;
+            else w.text += s[i + 1];
+            i += 2;
+          } else if ((s[i] === '$' && '({'.includes(s[i + 1])) || s[i] === '`') {
+            w.text += substitution();
+            w.expands = true;
+          } else {
+            if (s[i] === '$') w.expands = true;
+            if (s[i] === '\n') lineNo++;
+            w.text += s[i++];
+          }
+        }
+        if (i >= s.length) throw importError(`Shell line ${start}: unterminated "…" value`);
+        w.quoted = true;
+        i++;
+      } else if (c === '\\') {
+        if (s[i + 1] === '\n') lineNo++;
+        else w.text += s[i + 1] ?? '';
+        w.quoted = true;
+        i += 2;
+      } else if ((c === '$' && '({'.includes(s[i + 1])) || c === '`') {
+        w.text += substitution();
+        w.expands = true;
+      } else {
+        if (c === '$') w.expands = true;
+        w.text += c;
+        i++;
+      }
+    }
+    if (w) words.push(w);
+    return words;
+  };
+
+  while (i < s.length) {
+    const line = lineNo;
+    let words = command();
+    if (words[0] && !words[0].name && !words[0].quoted && words[0].text === 'export') {
+      // `export A=1 B` exports A (with a value) and B (without one: nothing to import)
+      words = words.slice(1).filter((w) => w.name);
+    } else {
+      const first = words.findIndex((w) => !w.name);
+      if (first === 0) continue;
+      if (first > 0) {
+        const names = words.slice(0, first).map((w) => w.name).join(', ');
+        throw importError(`Shell line ${line}: ${names} before \`${words[first].text}\` only apply to that command`);
+      }
+    }
+    for (const w of words) {
+      if (w.expands) {
+        delete out[w.name];
+        skipped.push(w.name);
+      } else {
+        out[w.name] = w.text;
+      }
+    }
+  }
+  return { entries: out, skipped };
+}
+
+// --- shared ---
+
+function secretEntries(doc) {
+  const out = {};
+  for (const [k, v] of Object.entries(doc.data ?? {})) {
+    if (v == null) continue;
+    if (typeof v !== 'string' || !/^[A-Za-z0-9+/=\s]*$/.test(v)) throw importError(`Secret data.${k} is not base64`);
+    out[k] = Buffer.from(v.replace(/\s+/g, ''), 'base64').toString('utf8');
+  }
+  for (const [k, v] of Object.entries(doc.stringData ?? {})) {
+    if (v != null) out[k] = String(v);
+  }
+  return out;
+}
+
+const isSecret = (doc) => doc && typeof doc === 'object' && !Array.isArray(doc) && doc.kind === 'Secret';
+
+// Parsed documents (JSON or YAML) → entries. Secrets (a manifest, several, or a v1 List of them)
+// contribute their data; otherwise the document must be a flat object.
+function documentsToEntries(docs, format) {
+  const items = docs.flatMap((d) => (d?.kind === 'List' && Array.isArray(d.items) ? d.items : [d]));
+  const secrets = items.filter(isSecret);
+  if (format === 'k8s-secret' && secrets.length === 0) throw importError('No Kubernetes Secret (kind: Secret) found');
+  if (secrets.length > 0) {
+    const entries = Object.assign({}, ...secrets.map(secretEntries));
+    return { entries, skipped: [] };
+  }
+  if (docs.length !== 1 || !docs[0] || typeof docs[0] !== 'object' || Array.isArray(docs[0])) {
+    throw importError(`Expected a ${format === 'json' ? 'JSON' : 'YAML'} object of KEY: value pairs`);
+  }
+  const entries = {};
+  const skipped = [];
+  for (const [k, v] of Object.entries(docs[0])) {
+    if (v != null && typeof v === 'object') skipped.push(k);
+    else entries[k] = v == null ? '' : String(v);
+  }
+  return { entries, skipped };
+}
+
+// → { entries: { KEY: value }, skipped: [keys left out: non-scalar values, shell expansions] }
+export function parseImportFile(text, format) {
+  if (format === 'dotenv') return { entries: dotenv.parse(text), skipped: [] };
+  if (format === 'shell') return parseShell(text);
+  // a JSON manifest is YAML too
+  if (format === 'json' || (IMPORT_FORMATS.includes(format) && String(text).trimStart().startsWith('{'))) {
+    let doc;
+    try {
+      doc = JSON.parse(text);
+    } catch (e) {
+      throw importError(`Invalid JSON: ${e.message}`);
+    }
+    return documentsToEntries([doc], format);
+  }
+  if (format === 'yaml' || format === 'k8s-secret') return documentsToEntries(parseYaml(text), format);
+  throw importError(`Unknown import format: ${format} (expected ${IMPORT_FORMATS.join('|')})`);
+}
@@ -0,0 +1,82 @@
+// Output masking for `dotkc run --mask-output`: replaces injected secret values in the child's
+// output with their redacted form (as in inspect mode). Each value is also matched base64- and
+// URL-encoded. Works on raw bytes, so values split across chunk boundaries are still caught.
+
+import { redact } from './api.mjs';
+
+// shorter values would mangle unrelated output; they are not masked
+export const MASK_MIN_LENGTH = 4;
+
+// how long a held-back tail may wait for more output before it is released (a prompt waiting for input)
+export const MASK_IDLE_FLUSH_MS = 50;
+
+function encodedForms(value) {
+  const b64 = Buffer.from(value, 'utf8').toString('base64');
+  return [
+    value,
+    b64,
+    b64.replace(/=+$/, ''),
+    Buffer.from(value, 'utf8').toString('base64url'),
+    encodeURIComponent(value),
+  ];
+}
+
+// Returns { push(chunk) → Buffer, flush() → Buffer, pending() → boolean }. push() may hold back a tail
+// that could be the start of a value (pending() is then true); flush() releases it, once the stream has
+// ended or has been idle for MASK_IDLE_FLUSH_MS.
+export function createMasker(values) {
+  const needles = new Map(); // form -> replacement
+  for (const v of values) {
+    const value = String(v ?? '');
+    if (value.length < MASK_MIN_LENGTH) continue;
+    for (const form of encodedForms(value)) {
+      if (form.length >= MASK_MIN_LENGTH && !needles.has(form)) needles.set(form, redact(value));
+    }
+  }
+
+  // candidates by first byte, longest first (so a value wins over a value it starts with)
+  const byFirstByte = new Map();
+  for (const [form, replacement] of needles) {
+    const bytes = Buffer.from(form, 'utf8');
+    const list = byFirstByte.get(bytes[0]) ?? [];
+    list.push({ bytes, replacement: Buffer.from(replacement, 'utf8') });
+    byFirstByte.set(bytes[0], list);
+  }
+  for (const list of byFirstByte.values()) list.sort((a, b) => b.bytes.length - a.bytes.length);
+
+  let carry = Buffer.alloc(0);
+
+  const scan = (buf, final) => {
+    const out = [];
+    let start = 0;
+    let i = 0;
+    next: while (i < buf.length) {
+      for (const n of byFirstByte.get(buf[i]) ?? []) {
+        const avail = buf.length - i;
+        if (avail >= n.bytes.length) {
+          if (buf.compare(n.bytes, 0, n.bytes.length, i, i + n.bytes.length) === 0) {
+            out.push(buf.subarray(start, i), n.replacement);
+            i += n.bytes.length;
+            start = i;
+            continue next;
+          }
+        } else if (!final && buf.compare(n.bytes, 0, avail, i, buf.length) === 0) {
+          // may be a value split across chunks: hold the tail back until more output arrives
+          out.push(buf.subarray(start, i));
+          carry = Buffer.from(buf.subarray(i));
+          return Buffer.concat(out);
+        }
+      }
+      i++;
+    }
+    out.push(buf.subarray(start));
+    carry = Buffer.alloc(0);
+    return Buffer.concat(out);
+  };
+
+  return {
+    push: (chunk) => scan(carry.length ? Buffer.concat([carry, chunk]) : chunk, false),
+    flush: () => scan(carry, true),
+    pending: () => carry.length > 0,
+  };
+}
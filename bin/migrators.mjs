@@ -0,0 +1,400 @@
+// Parsers for `dotkc migrate-from <tool> <export>`: the unencrypted exports of other password managers,
+// flattened into records { folder, item, field, value } that a mapping turns into service:category:KEY.
+//   1password  .1pux (or its unzipped export.data), `op item get --format json` output, or CSV
+//   bitwarden  JSON (unencrypted) or CSV
+//   keepass    KeePass 2 XML or KeePassXC CSV
+//   pass       a password-store directory (.gpg files are decrypted with gpg; other files are read as
+//              already-decrypted text): first line is the password, `name: value` lines are fields
+// Standard fields are named username, password, url, totp and notes; custom fields keep their labels.
+// Records of fields the tool keeps hidden (passwords, TOTP seeds, concealed/protected custom fields) are
+// marked `secret`; the rest (usernames, URLs, notes, card/identity details) describe the item.
+
+import { execFileSync } from 'node:child_process';
+import fs from 'node:fs';
+import path from 'node:path';
+
+import { parse as parseCsvRows } from 'csv-parse/sync';
+import { XMLParser } from 'fast-xml-parser';
+import { unzipSync } from 'fflate';
+
+export const MIGRATE_TOOLS = ['1password', 'bitwarden', 'keepass', 'pass'];
+
+// Placeholders of the --map-service/--map-category/--map-key templates.
+export const MAPPING_FIELDS = ['tool', 'folder', 'item', 'field'];
+
+export const DEFAULT_MAPPING = { service: '{folder}', category: '{item}', key: '{field}' };
+
+const ENV_KEY_RE = /^[A-Z_][A-Z0-9_]*$/;
+
+function migrateError(message) {
+  const err = new Error(message);
+  err.code = 'INVALID';
+  return err;
+}
+
+// CSV columns (lowercased) that name standard fields, or describe the item rather than hold a secret.
+const CSV_FIELDS = {
+  username: 'username',
+  login_username: 'username',
+  user: 'username',
+  password: 'password',
+  login_password: 'password',
+  url: 'url',
+  login_uri: 'url',
+  website: 'url',
+  otpauth: 'totp',
+  totp: 'totp',
+  login_totp: 'totp',
+  notes: 'notes',
+};
+const CSV_TITLE = ['title', 'name'];
+const CSV_FOLDER = ['folder', 'group', 'vault'];
+// CSV exports do not say which custom columns are hidden: only these count as secret.
+const SECRET_FIELDS = ['password', 'totp'];
+const CSV_IGNORED = ['favorite', 'archived', 'tags', 'type', 'reprompt', 'uuid', 'icon', 'created', 'last modified', 'modified', 'fields'];
+
+// --- CSV ---
+
+// RFC 4180: quoted fields may contain commas, "" and line breaks. Blank rows are left out.
+export function parseCsv(text) {
+  try {
+    return parseCsvRows(String(text), { bom: true, relax_column_count: true, skip_empty_lines: true, skip_records_with_empty_values: true });
+  } catch (e) {
+    throw migrateError(`CSV: ${e.message}`);
+  }
+}
+
+function csvRecords(text, tool) {
+  const [header, ...rows] = parseCsv(text);
+  if (!header) return [];
+  const cols = header.map((h) => h.trim());
+  const lower = cols.map((h) => h.toLowerCase());
+  const titleAt = lower.findIndex((h) => CSV_TITLE.includes(h));
+  if (titleAt === -1) throw migrateError(`CSV: no Title/Name column (columns: ${cols.join(', ')})`);
+  const folderAt = lower.findIndex((h) => CSV_FOLDER.includes(h));
+  const fieldsAt = lower.indexOf('fields');
+  const out = [];
+  for (const r of rows) {
+    let folder = folderAt === -1 ? '' : r[folderAt] ?? '';
+    // KeePassXC groups start with the root group (the database name)
+    if (tool === 'keepass') folder = folder.split('/').slice(1).join('/');
+    const base = { folder, item: r[titleAt] ?? '' };
+    lower.forEach((h, n) => {
+      if (n === titleAt || n === folderAt || CSV_IGNORED.includes(h)) return;
+      const field = CSV_FIELDS[h] ?? cols[n];
+      out.push({ ...base, field, value: r[n] ?? '', secret: SECRET_FIELDS.includes(field) });
+    });
+    // Bitwarden: custom fields as "name: value" lines
+    if (fieldsAt !== -1) {
+      for (const l of String(r[fieldsAt] ?? '').split(/\r?\n/)) {
+        const m = l.match(/^([^:]+):\s?(.*)$/);
+        if (m) out.push({ ...base, field: m[1].trim(), value: m[2], secret: false });
+      }
+    }
+  }
+  return out;
+}
+
+// --- 1Password ---
+
+// Entry `name` of a zip archive.
+function readZipEntry(buf, name) {
+  let files;
+  try {
+    files = unzipSync(new Uint8Array(buf.buffer, buf.byteOffset, buf.length), { filter: (f) => f.name === name });
+  } catch (e) {
+    throw migrateError(`Not a readable zip archive: ${e.message}`);
+  }
+  if (!files[name]) throw migrateError(`${name} not found in the archive`);
+  return Buffer.from(files[name]);
+}
+
+// A 1PUX field value: { concealed: "…" }, { string: "…" }, { email: { email_address } }, …
+function opValue(v) {
+  if (v == null || typeof v !== 'object') return v == null ? null : String(v);
+  const [inner] = Object.values(v);
+  if (inner == null) return null;
+  if (typeof inner !== 'object') return String(inner);
+  if (typeof inner.email_address === 'string') return inner.email_address;
+  return null;
+}
+
+function onePuxRecords(doc) {
+  const out = [];
+  for (const account of doc.accounts ?? []) {
+    for (const vault of account.vaults ?? []) {
+      const folder = vault.attrs?.name ?? '';
+      for (const wrapped of vault.items ?? []) {
+        const it = wrapped.item ?? wrapped;
+        if (it.state && it.state !== 'active') continue;
+        const base = { folder, item: it.overview?.title ?? '' };
+        const d = it.details ?? {};
+        for (const f of d.loginFields ?? []) {
+          const field = f.designation === 'username' || f.designation === 'password' ? f.designation : f.name || f.id;
+          out.push({ ...base, field, value: f.value ?? '', secret: f.designation === 'password' || f.fieldType === 'P' });
+        }
+        if (d.password != null) out.push({ ...base, field: 'password', value: d.password, secret: true });
+        if (it.overview?.url) out.push({ ...base, field: 'url', value: it.overview.url, secret: false });
+        for (const section of d.sections ?? []) {
+          for (const f of section.fields ?? []) {
+            const value = opValue(f.value);
+            if (value == null) continue;
+            const secret = f.value?.concealed != null || f.value?.totp != null;
+            out.push({ ...base, field: f.value?.totp != null ? 'totp' : f.title || f.id, value, secret });
+          }
+        }
+        if (d.notesPlain) out.push({ ...base, field: 'notes', value: d.notesPlain, secret: false });
+      }
+    }
+  }
+  return out;
+}
+
+// `op item get --format json` (one item or an array of them)
+function opCliRecords(items) {
+  const out = [];
+  for (const it of items) {
+    const base = { folder: it.vault?.name ?? '', item: it.title ?? '' };
+    for (const f of it.fields ?? []) {
+      if (f.value == null || f.value === '') continue;
+      const purpose = { USERNAME: 'username', PASSWORD: 'password', NOTES: 'notes' }[f.purpose];
+      const secret = f.purpose === 'PASSWORD' || f.type === 'CONCEALED' || f.type === 'OTP';
+      out.push({ ...base, field: purpose ?? (f.type === 'OTP' ? 'totp' : f.label || f.id), value: String(f.value), secret });
+    }
+    const url = it.urls?.find((u) => u.primary)?.href ?? it.urls?.[0]?.href;
+    if (url) out.push({ ...base, field: 'url', value: url, secret: false });
+  }
+  return out;
+}
+
+function onePasswordRecords(buf, filePath) {
+  const ext = path.extname(filePath).toLowerCase();
+  if (ext === '.csv') return csvRecords(buf.toString('utf8'), '1password');
+  const text = ext === '.1pux' ? readZipEntry(buf, 'export.data').toString('utf8') : buf.toString('utf8');
+  const doc = parseJson(text);
+  if (Array.isArray(doc)) return opCliRecords(doc);
+  if (doc?.accounts) return onePuxRecords(doc);
+  if (doc?.fields) return opCliRecords([doc]);
+  throw migrateError('Unrecognised 1Password export (expected a .1pux, export.data, `op item get --format json` output or CSV)');
+}
+
+// --- Bitwarden ---
+
+// cardholderName → "cardholder name"
+const words = (s) => s.replace(/([a-z0-9])([A-Z])/g, '$1 $2').toLowerCase();
+
+function bitwardenRecords(buf, filePath) {
+  const text = buf.toString('utf8');
+  if (path.extname(filePath).toLowerCase() === '.csv' || !text.trimStart().startsWith('{')) return csvRecords(text, 'bitwarden');
+  const doc = parseJson(text);
+  if (doc.encrypted) throw migrateError('Encrypted Bitwarden export; export as unencrypted JSON or CSV');
+  const folders = new Map((doc.folders ?? []).map((f) => [f.id, f.name]));
+  const out = [];
+  for (const it of doc.items ?? []) {
+    const base = { folder: folders.get(it.folderId) ?? '', item: it.name ?? '' };
+    const push = (field, value, secret = false) => {
+      if (value != null && value !== '') out.push({ ...base, field, value: String(value), secret });
+    };
+    if (it.login) {
+      push('username', it.login.username);
+      push('password', it.login.password, true);
+      push('totp', it.login.totp, true);
+      push('url', it.login.uris?.[0]?.uri);
+    }
+    for (const group of [it.card, it.identity]) {
+      for (const [k, v] of Object.entries(group ?? {})) if (typeof v !== 'object') push(words(k), v);
+    }
+    // custom field types: 0 text, 1 hidden, 2 boolean, 3 linked (no value of its own)
+    for (const f of it.fields ?? []) if (f.type !== 3) push(f.name, f.value, f.type === 1);
+    push('notes', it.notes);
+  }
+  return out;
+}
+
+// --- KeePass ---
+
+// Elements become objects (`@_` attributes, `#text` text); Group, Entry and String are always arrays.
+// Text is kept as written: no trimming, no number parsing.
+const XML_ARRAYS = ['Group', 'Entry', 'String'];
+
+export function parseXml(text) {
+  const parser = new XMLParser({
+    ignoreAttributes: false,
+    trimValues: false,
+    parseTagValue: false,
+    htmlEntities: true,
+    isArray: (name, jpath, isLeaf, isAttribute) => !isAttribute && XML_ARRAYS.includes(name),
+  });
+  try {
+    return parser.parse(String(text), true);
+  } catch (e) {
+    throw migrateError(`XML: ${e.message}`);
+  }
+}
+
+// An element's text: '' for <Value/>, the string itself, or `#text` of an element with attributes.
+const xmlText = (el) => (el == null ? '' : typeof el === 'object' ? String(el['#text'] ?? '') : String(el));
+
+const KEEPASS_FIELDS = { UserName: 'username', Password: 'password', URL: 'url', Notes: 'notes', otp: 'totp', TOTP: 'totp' };
+
+function keepassRecords(buf, filePath) {
+  const text = buf.toString('utf8');
+  if (path.extname(filePath).toLowerCase() === '.csv' || !text.trimStart().startsWith('<')) return csvRecords(text, 'keepass');
+  const file = parseXml(text).KeePassFile;
+  if (!file) throw migrateError('Not a KeePass XML export (no <KeePassFile>)');
+  const meta = file.Meta;
+  const recycleBin = xmlText(meta?.RecycleBinEnabled).trim() === 'True' ? xmlText(meta?.RecycleBinUUID).trim() : null;
+  const out = [];
+  // the root group is the database itself; folders are the groups below it
+  const walk = (group, folder) => {
+    for (const entry of group.Entry ?? []) {
+      // protected strings (the password, and custom fields marked "protect in memory") are the secrets
+      const strings = (entry.String ?? []).map((s) => [xmlText(s.Key), xmlText(s.Value), s.Value?.['@_ProtectInMemory'] === 'True']);
+      const item = strings.find(([k]) => k === 'Title')?.[1] ?? '';
+      for (const [k, value, isProtected] of strings) {
+        if (k === 'Title') continue;
+        const field = KEEPASS_FIELDS[k] ?? k;
+        out.push({ folder, item, field, value, secret: isProtected || SECRET_FIELDS.includes(field) });
+      }
+    }
+    for (const g of group.Group ?? []) {
+      if (recycleBin && xmlText(g.UUID).trim() === recycleBin) continue;
+      const name = xmlText(g.Name);
+      walk(g, folder ? `${folder}/${name}` : name);
+    }
+  };
+  for (const g of file.Root?.Group ?? []) walk(g, '');
+  return out;
+}
+
+// --- pass ---
+
+const PASS_FIELDS = { user: 'username', username: 'username', login: 'username', url: 'url', otpauth: 'totp' };
+
+function passRecords(dir) {
+  const out = [];
+  const walk = (rel) => {
+    for (const ent of fs.readdirSync(path.join(dir, rel), { withFileTypes: true }).sort((a, b) => a.name.localeCompare(b.name))) {
+      if (ent.name.startsWith('.')) continue;
+      const relPath = path.join(rel, ent.name);
+      if (ent.isDirectory()) {
+        walk(relPath);
+        continue;
+      }
+      if (!ent.isFile()) continue;
+      const fp = path.join(dir, relPath);
+      let text;
+      if (ent.name.endsWith('.gpg')) {
+        try {
+          text = execFileSync('gpg', ['--quiet', '--batch', '--decrypt', fp], { encoding: 'utf8', stdio: ['ignore', 'pipe', 'pipe'] });
+        } catch (e) {
+          throw migrateError(`gpg could not decrypt ${relPath}: ${String(e.stderr || e.message).trim()}`);
+        }
+      } else {
+        text = fs.readFileSync(fp, 'utf8');
+      }
+      const base = { folder: rel.split(path.sep).join('/'), item: ent.name.replace(/\.(gpg|txt)$/, '') };
+      const [password = '', ...rest] = text.replace(/\r?\n$/, '').split(/\r?\n/);
+      out.push({ ...base, field: 'password', value: password, secret: true });
+      const notes = [];
+      for (const l of rest) {
+        const m = l.match(/^([A-Za-z][\w .-]*):\s?(.*)$/);
+        if (l.startsWith('otpauth://')) out.push({ ...base, field: 'totp', value: l, secret: true });
+        else if (m) {
+          const field = PASS_FIELDS[m[1].toLowerCase()] ?? m[1];
+          out.push({ ...base, field, value: m[2], secret: field === 'totp' });
+        } else notes.push(l);
+      }
+      if (notes.some((l) => l.trim() !== '')) out.push({ ...base, field: 'notes', value: notes.join('\n').trim(), secret: false });
+    }
+  };
+  walk('');
+  return out;
+}
+
+function parseJson(text) {
+  try {
+    return JSON.parse(text);
+  } catch (e) {
+    throw migrateError(`Invalid JSON: ${e.message}`);
+  }
+}
+
+// Records of an export: [{ folder, item, field, value, secret }] (empty values are left out).
+export function readExport(tool, filePath) {
+  if (!MIGRATE_TOOLS.includes(tool)) throw migrateError(`Unknown tool: ${tool} (expected ${MIGRATE_TOOLS.join('|')})`);
+  if (!fs.existsSync(filePath)) throw migrateError(`Not found: ${filePath}`);
+  const isDir = fs.statSync(filePath).isDirectory();
+  if (tool === 'pass' ? !isDir : isDir) throw migrateError(tool === 'pass' ? `${filePath} is not a directory (expected a password store)` : `${filePath} is a directory`);
+  let records;
+  if (tool === 'pass') records = passRecords(filePath);
+  else {
+    const buf = fs.readFileSync(filePath);
+    if (tool === '1password') records = onePasswordRecords(buf, filePath);
+    else if (tool === 'bitwarden') records = bitwardenRecords(buf, filePath);
+    else records = keepassRecords(buf, filePath);
+  }
+  return records.filter((r) => r.value != null && r.value !== '').map((r) => ({ ...r, value: String(r.value) }));
+}
+
+// "db password" / "api-key" / "Stripe.Secret" → DB_PASSWORD / API_KEY / STRIPE_SECRET; a leading digit
+// gets a "_" so the name is one `dotkc run` can inject. '' when nothing usable is left.
+export function normalizeKey(name) {
+  const k = String(name ?? '')
+    .normalize('NFKD')
+    .replace(/\p{M}/gu, '')
+    .toUpperCase()
+    .replace(/[^A-Z0-9]+/g, '_')
+    .replace(/^_+|_+$/g, '');
+  if (!k) return '';
+  return ENV_KEY_RE.test(k) ? k : `_${k}`;
+}
+
+// Service/category names: no spaces, and none of the characters specs use (: * @ =).
+function normalizeName(name) {
+  return String(name ?? '')
+    .trim()
+    .replace(/[\s:*@=]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+function fillTemplate(template, values) {
+  return template.replace(/\{(\w+)\}/g, (m, f) => (MAPPING_FIELDS.includes(f) ? values[f] : m));
+}
+
+// Checks a { service, category, key } template set; returns an error message or null.
+export function checkMapping(mapping) {
+  for (const [name, t] of Object.entries(mapping)) {
+    const unknown = [...t.matchAll(/\{(\w+)\}/g)].map((m) => m[1]).filter((f) => !MAPPING_FIELDS.includes(f));
+    if (unknown.length) return `--map-${name}: unknown placeholder {${unknown[0]}} (expected ${MAPPING_FIELDS.map((f) => `{${f}}`).join(', ')})`;
+  }
+  return null;
+}
+
+// Records → targets: [{ source, service, category, key, value }] and skipped: [{ source, reason }].
+// Items outside any folder use the tool name as {folder}. Targets that several records map to keep the
+// first record; the others are skipped.
+export function mapRecords(tool, records, mapping = DEFAULT_MAPPING) {
+  const targets = [];
+  const skipped = [];
+  const seen = new Map();
+  for (const r of records) {
+    const source = [r.folder, r.item].filter(Boolean).join('/') + ` › ${r.field}`;
+    const values = { tool, folder: r.folder || tool, item: r.item, field: r.field };
+    const service = normalizeName(fillTemplate(mapping.service, values));
+    const category = normalizeName(fillTemplate(mapping.category, values));
+    const key = normalizeKey(fillTemplate(mapping.key, values));
+    if (!service || !category || !key) {
+      skipped.push({ source, reason: `empty ${!service ? 'service' : !category ? 'category' : 'key'} after mapping` });
+      continue;
+    }
+    const id = `${service}:${category}:${key}`;
+    if (seen.has(id)) {
+      skipped.push({ source, reason: `${id} already taken by ${seen.get(id)}` });
+      continue;
+    }
+    seen.set(id, source);
+    targets.push({ source, service, category, key, value: r.value });
+  }
+  return { targets, skipped };
+}
@@ -0,0 +1,116 @@
+// Machine-local policy: what each caller profile (e.g. an agent) may resolve through dotkc.
+//
+// ~/.dotkc/policy.json (or DOTKC_POLICY_PATH); keep it outside any project directory the caller can write:
+//
+//   {
+//     "default": "agent",
+//     "profiles": {
+//       "agent": { "allow": ["fly.io:acme-app-dev", "vercel:*:CLERK_*"], "unsafeValues": false, "exec": ["pnpm", "node"] }
+//     }
+//   }
+//
+// Patterns are <service>:<category> (every key) or <service>:<category>:<KEY>; `*` matches anything
+// within a segment. Whatever a profile does not allow is denied (err.code === 'POLICY_DENIED').
+
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+import { expandHome, globToRegExp } from './vault.mjs';
+
+export function defaultPolicyPath() {
+  return path.join(os.homedir(), '.dotkc', 'policy.json');
+}
+
+export function policyPath() {
+  return expandHome(process.env.DOTKC_POLICY_PATH ?? defaultPolicyPath());
+}
+
+function policyError(profile, message) {
+  const err = new Error(`POLICY_DENIED${profile ? ` (profile "${profile.name}")` : ''}: ${message}\nPolicy file: ${policyPath()}`);
+  err.code = 'POLICY_DENIED';
+  return err;
+}
+
+// "svc:cat" or "svc:cat:KEY" (services may contain ':', as in specs)
+function compilePattern(p) {
+  const parts = String(p).split(':');
+  if (parts.length < 2) throw new Error(`Invalid policy pattern: ${p}`);
+  if (parts.length === 2) return { service: globToRegExp(parts[0]), category: globToRegExp(parts[1]), key: null };
+  const key = parts.pop();
+  const category = parts.pop();
+  return { service: globToRegExp(parts.join(':')), category: globToRegExp(category), key: globToRegExp(key) };
+}
+
+// Returns null when there is no policy file. Throws on an unreadable/invalid file.
+export function loadPolicy(fp = policyPath()) {
+  let raw;
+  try {
+    raw = fs.readFileSync(fp, 'utf8');
+  } catch (e) {
+    if (e?.code === 'ENOENT') return null;
+    throw e;
+  }
+  let policy;
+  try {
+    policy = JSON.parse(raw);
+  } catch (e) {
+    throw new Error(`Invalid policy file (JSON): ${fp}\n${e.message}`);
+  }
+  if (!policy || typeof policy.profiles !== 'object') throw new Error(`Invalid policy file (missing "profiles"): ${fp}`);
+  return policy;
+}
+
+// The profile that applies to this invocation: the --profile name, else the policy's "default".
+// Returns null when no policy applies (no file and no --profile).
+export function resolvePolicyProfile(name = null, policy = loadPolicy()) {
+  if (!policy) {
+    if (name) throw policyError(null, `profile "${name}" requested but there is no policy file`);
+    return null;
+  }
+  const profileName = name ?? policy.default ?? null;
+  if (!profileName) return null;
+  const p = policy.profiles[profileName];
+  if (!p) throw policyError({ name: profileName }, 'unknown profile');
+  return {
+    name: profileName,
+    allow: (p.allow ?? []).map((s) => ({ source: s, ...compilePattern(s) })),
+    unsafeValues: p.unsafeValues === true,
+    exec: Array.isArray(p.exec) ? p.exec.map(String) : [],
+  };
+}
+
+// `refs`: fully qualified "svc:cat:KEY" strings that are about to be resolved.
+export function checkPolicyKeys(profile, refs) {
+  if (!profile) return;
+  const denied = refs.filter((ref) => {
+    const parts = ref.split(':');
+    const key = parts.pop();
+    const category = parts.pop();
+    const service = parts.join(':');
+    return !profile.allow.some((p) => p.service.test(service) && p.category.test(category) && (!p.key || p.key.test(key)));
+  });
+  if (denied.length > 0) throw policyError(profile, `not allowed to resolve:\n${denied.map((d) => `  ${d}`).join('\n')}`);
+}
+
+// Whole categories ({ service, category }) requested before their keys are known: the profile must
+// allow at least part of each, so a category it cannot read fails the same way whether it exists or not.
+export function checkPolicyCategories(profile, categories) {
+  if (!profile) return;
+  const denied = categories.filter(({ service, category }) => !profile.allow.some((p) => p.service.test(service) && p.category.test(category)));
+  if (denied.length > 0) throw policyError(profile, `not allowed to resolve:\n${denied.map((d) => `  ${d.service}:${d.category}`).join('\n')}`);
+}
+
+// Printing full values (get, export/run --unsafe-values).
+export function checkPolicyUnsafeValues(profile, what) {
+  if (!profile || profile.unsafeValues) return;
+  throw policyError(profile, `${what} prints full secret values ("unsafeValues" is not enabled)`);
+}
+
+// `dotkc run -- <cmd>`: <cmd> must be listed in "exec" exactly as given (a bare name like "pnpm" or a
+// full path); "./node" or "/tmp/x/node" do not match "node".
+export function checkPolicyExec(profile, cmd) {
+  if (!profile) return;
+  if (profile.exec.includes(cmd)) return;
+  throw policyError(profile, `not allowed to run: ${cmd}`);
+}
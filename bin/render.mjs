@@ -0,0 +1,123 @@
+// Config file templates for `dotkc render`: "${dotkc:<service>:<category>:<KEY>}" placeholders are
+// replaced with secret values ("$${" is a literal "${"; any other ${...} is left alone, e.g. for
+// tools that expand env vars themselves). With JSON/YAML escaping, a value is escaped for the string
+// it lands in, or written as a quoted string when the placeholder stands for a whole value.
+
+import path from 'node:path';
+
+import { parseSpec } from './api.mjs';
+
+const PLACEHOLDER_RE = /\$\$\{|\$\{dotkc:([^}]*)\}/g;
+
+export const ESCAPE_MODES = ['none', 'json', 'yaml'];
+
+function templateError(message) {
+  const err = new Error(message);
+  err.code = 'INVALID';
+  return err;
+}
+
+// Escaping for a file name: .json → json, .yaml/.yml → yaml, else none (".tmpl"/".template"/".tpl" is
+// skipped, so "config.yaml.tmpl" is yaml).
+export function escapeModeFor(fileName) {
+  let ext = path.extname(String(fileName ?? '')).toLowerCase();
+  if (['.tmpl', '.template', '.tpl'].includes(ext)) ext = path.extname(path.basename(fileName, path.extname(fileName))).toLowerCase();
+  if (ext === '.json') return 'json';
+  if (ext === '.yaml' || ext === '.yml') return 'yaml';
+  return 'none';
+}
+
+// Context of each position in a JSON document: inside a string or not.
+function jsonContexts(text, positions) {
+  const out = new Map();
+  let inString = false;
+  let p = 0;
+  for (let i = 0; i < text.length && p < positions.length; i++) {
+    while (p < positions.length && positions[p] === i) out.set(positions[p++], inString ? 'string' : 'value');
+    if (text[i] === '\\' && inString) i++;
+    else if (text[i] === '"') inString = !inString;
+  }
+  for (; p < positions.length; p++) out.set(positions[p], inString ? 'string' : 'value');
+  return out;
+}
+
+// Context of a position in a YAML line: 'double'/'single' (inside a quoted scalar), 'value' (the
+// placeholder is a whole plain value) or 'plain' (embedded in a plain scalar, which cannot be escaped).
+function yamlContext(line, col, len) {
+  let quote = null;
+  for (let i = 0; i < col; i++) {
+    const c = line[i];
+    if (quote === '"') {
+      if (c === '\\') i++;
+      else if (c === '"') quote = null;
+    } else if (quote === "'") {
+      if (c === "'" && line[i + 1] === "'") i++;
+      else if (c === "'") quote = null;
+    } else if (c === '"' || c === "'") {
+      quote = c;
+    }
+  }
+  if (quote === '"') return 'double';
+  if (quote === "'") return 'single';
+  const before = line.slice(0, col);
+  const after = line.slice(col + len);
+  const starts = /^\s*(-\s+)?([^#]*:\s+)?$/.test(before);
+  const ends = /^\s*(#.*)?$/.test(after);
+  return starts && ends ? 'value' : 'plain';
+}
+
+function lineCol(text, index) {
+  const lines = text.slice(0, index).split('\n');
+  return { line: lines.length, col: lines.at(-1).length };
+}
+
+// Placeholders of a template: [{ spec, text, line, context }]. Throws INVALID (with the line number)
+// for a malformed placeholder, or one that cannot be escaped for `escape`.
+export function parseTemplate(text, { escape = 'none' } = {}) {
+  if (!ESCAPE_MODES.includes(escape)) throw templateError(`Unknown escaping: ${escape} (expected ${ESCAPE_MODES.join('|')})`);
+  const found = [];
+  for (const m of text.matchAll(PLACEHOLDER_RE)) {
+    if (m[1] == null) continue;
+    const { line, col } = lineCol(text, m.index);
+    const spec = parseSpec(m[1]);
+    if (spec.kind !== 'exact' || spec.as) {
+      throw templateError(`line ${line}: invalid placeholder ${m[0]} (expected \${dotkc:<service>:<category>:<KEY>})`);
+    }
+    found.push({ spec, text: m[0], index: m.index, line, col });
+  }
+
+  const contexts = escape === 'json' ? jsonContexts(text, found.map((p) => p.index)) : null;
+  const lines = escape === 'yaml' ? text.split('\n') : null;
+  return found.map(({ spec, text: t, index, line, col }) => {
+    let context = 'none';
+    if (escape === 'json') context = contexts.get(index);
+    if (escape === 'yaml') {
+      context = yamlContext(lines[line - 1], col, t.length);
+      if (context === 'plain') throw templateError(`line ${line}: ${t} is part of an unquoted YAML value; quote the value`);
+    }
+    return { spec, text: t, line, context };
+  });
+}
+
+function escapeValue(value, { context, line, text }) {
+  const v = String(value);
+  if (context === 'string' || context === 'double') return JSON.stringify(v).slice(1, -1);
+  if (context === 'single') {
+    // line breaks in a single-quoted YAML scalar fold into spaces
+    if (/[\r\n]/.test(v)) throw templateError(`line ${line}: ${text} has a multi-line value; use a double-quoted YAML string`);
+    return v.replaceAll("'", "''");
+  }
+  if (context === 'value') return JSON.stringify(v);
+  return v;
+}
+
+// `resolve(spec)` → the value for a placeholder's spec.
+export function renderTemplate(text, resolve, { escape = 'none' } = {}) {
+  const placeholders = parseTemplate(text, { escape });
+  let i = 0;
+  return text.replace(PLACEHOLDER_RE, (m, inner) => {
+    if (inner == null) return '${';
+    const p = placeholders[i++];
+    return escapeValue(resolve(p.spec), p);
+  });
+}
@@ -22,6 +22,10 @@ export function defaultVaultKeyPath() {
   return path.join(os.homedir(), '.dotkc', 'key');
 }
 
+export function defaultIdentityPath() {
+  return path.join(os.homedir(), '.dotkc', 'identity');
+}
+
 function ensureDirForFile(fp) {
   fs.mkdirSync(path.dirname(fp), { recursive: true });
 }
@@ -34,7 +38,7 @@ function readFileIfExists(fp) {
   }
 }
 
-function atomicWriteFile(fp, data, mode) {
+export function atomicWriteFile(fp, data, mode) {
   ensureDirForFile(fp);
   const tmp = `${fp}.tmp-${process.pid}-${Date.now()}`;
   fs.writeFileSync(tmp, data, { mode: mode ?? undefined });
@@ -42,10 +46,50 @@ function atomicWriteFile(fp, data, mode) {
   if (mode != null) fs.chmodSync(fp, mode);
 }
 
-export function readVaultKey(keyPath) {
-  const raw = readFileIfExists(keyPath);
-  if (!raw) return null;
-  const s = raw.toString('utf8').trim();
+// Passphrase-wrapped key files are JSON; plain key files are a single base64 line.
+const KEY_FILE_FORMAT = 'dotkc-key';
+const SCRYPT_PARAMS = { N: 2 ** 15, r: 8, p: 1 };
+
+function deriveWrappingKey(passphrase, salt, { N, r, p }) {
+  return crypto.scryptSync(String(passphrase), salt, 32, { N, r, p, maxmem: 256 * N * r * p });
+}
+
+export function wrapVaultKey(key, passphrase) {
+  const salt = crypto.randomBytes(16);
+  const kek = deriveWrappingKey(passphrase, salt, SCRYPT_PARAMS);
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', kek, iv);
+  const ciphertext = Buffer.concat([cipher.update(key), cipher.final()]);
+  return {
+    format: KEY_FILE_FORMAT,
+    version: 1,
+    kdf: { name: 'scrypt', salt: salt.toString('base64'), ...SCRYPT_PARAMS },
+    cipher: 'aes-256-gcm',
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    ciphertext: ciphertext.toString('base64'),
+  };
+}
+
+export function unwrapVaultKey(wrapped, passphrase) {
+  if (wrapped?.version !== 1 || wrapped?.kdf?.name !== 'scrypt' || wrapped?.cipher !== 'aes-256-gcm') {
+    throw new Error('Unsupported key file format');
+  }
+  const { salt, N, r, p } = wrapped.kdf;
+  const kek = deriveWrappingKey(passphrase, Buffer.from(salt, 'base64'), { N, r, p });
+  const decipher = crypto.createDecipheriv('aes-256-gcm', kek, Buffer.from(wrapped.iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(wrapped.tag, 'base64'));
+  let key;
+  try {
+    key = Buffer.concat([decipher.update(Buffer.from(wrapped.ciphertext, 'base64')), decipher.final()]);
+  } catch {
+    throw new Error('Wrong passphrase (or corrupted key file)');
+  }
+  if (key.length !== 32) throw new Error('Invalid key (expected 32-byte key)');
+  return key;
+}
+
+function parsePlainKey(s) {
   const m = s.match(/([A-Za-z0-9+/=]{40,})/);
   if (!m) return null;
   const b = Buffer.from(m[1], 'base64');
@@ -53,34 +97,329 @@ export function readVaultKey(keyPath) {
   return b;
 }
 
+// Parse key material in either format.
+// Returns { key, wrapped: null } for a plain key, { key: null, wrapped } for a passphrase-wrapped key, or null.
+export function parseKeyMaterial(text) {
+  const s = String(text ?? '').trim();
+  if (s.startsWith('{')) {
+    let obj;
+    try {
+      obj = JSON.parse(s);
+    } catch {
+      return null;
+    }
+    if (obj?.format !== KEY_FILE_FORMAT) return null;
+    return { key: null, wrapped: obj };
+  }
+  const key = parsePlainKey(s);
+  return key ? { key, wrapped: null } : null;
+}
+
+export function readKeyFile(keyPath) {
+  const raw = readFileIfExists(keyPath);
+  if (!raw) return null;
+  return parseKeyMaterial(raw.toString('utf8'));
+}
+
+// Returns the raw key for a plain key file; null if missing, invalid or passphrase-wrapped.
+export function readVaultKey(keyPath) {
+  return readKeyFile(keyPath)?.key ?? null;
+}
+
+export function isKeyFileWrapped(keyPath) {
+  return Boolean(readKeyFile(keyPath)?.wrapped);
+}
+
+// Write key material atomically (chmod 600). With a passphrase, the key is stored wrapped.
+export function writeKeyFile(keyPath, key, { passphrase = null } = {}) {
+  const body = passphrase == null ? key.toString('base64') : JSON.stringify(wrapVaultKey(key, passphrase), null, 2);
+  atomicWriteFile(keyPath, Buffer.from(body + '\n', 'utf8'), 0o600);
+}
+
 export function generateVaultKey() {
   return crypto.randomBytes(32);
 }
 
-function encryptVaultJson(key, obj) {
+export function aesGcmEncrypt(key, plain) {
   const iv = crypto.randomBytes(12);
-  const plain = Buffer.from(JSON.stringify(obj), 'utf8');
   const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
   const ciphertext = Buffer.concat([cipher.update(plain), cipher.final()]);
-  const tag = cipher.getAuthTag();
   return {
-    version: 1,
-    cipher: 'aes-256-gcm',
     iv: iv.toString('base64'),
-    tag: tag.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
     ciphertext: ciphertext.toString('base64'),
   };
 }
 
+export function aesGcmDecrypt(key, { iv, tag, ciphertext }) {
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(tag, 'base64'));
+  return Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64')), decipher.final()]);
+}
+
+function encryptVaultJson(key, obj) {
+  return {
+    version: 1,
+    cipher: 'aes-256-gcm',
+    ...aesGcmEncrypt(key, Buffer.from(JSON.stringify(obj), 'utf8')),
+  };
+}
+
+// Payload (the decrypted JSON):
+//   version 1: the bare tree data[service][category][KEY] = value
+//   version 2: { payloadVersion: 2, entries } with entries[service][category][KEY] =
+//              { value, createdAt, updatedAt, updatedBy, note?, history? }
+//              history: previous values, newest first: [{ value, updatedAt, updatedBy }]
+// In memory both are split into `data` (the version 1 tree) and `meta` (same shape, entry minus value).
+export const LATEST_PAYLOAD_VERSION = 2;
+
+function mapEntries(tree, fn) {
+  const out = {};
+  for (const [service, cats] of Object.entries(tree ?? {})) {
+    if (!cats || typeof cats !== 'object') continue;
+    for (const [category, kv] of Object.entries(cats)) {
+      if (!kv || typeof kv !== 'object') continue;
+      for (const [k, v] of Object.entries(kv)) {
+        out[service] ??= {};
+        out[service][category] ??= {};
+        out[service][category][k] = fn(v, service, category, k);
+      }
+    }
+  }
+  return out;
+}
+
+function decodePayload(obj) {
+  if (obj?.payloadVersion === 2 && obj.entries && typeof obj.entries === 'object') {
+    return {
+      data: mapEntries(obj.entries, (e) => e?.value),
+      meta: mapEntries(obj.entries, ({ value, ...m }) => m),
+      payloadVersion: 2,
+    };
+  }
+  return { data: obj ?? {}, meta: {}, payloadVersion: 1 };
+}
+
+function encodePayload(data, meta, payloadVersion) {
+  if (payloadVersion === 1) return data;
+  const entries = mapEntries(data, (value, service, category, k) => ({
+    value,
+    createdAt: null,
+    updatedAt: null,
+    updatedBy: null,
+    ...(meta?.[service]?.[category]?.[k] ?? {}),
+  }));
+  return { payloadVersion: 2, entries };
+}
+
+function getHistoryKeep() {
+  const v = process.env.DOTKC_HISTORY_KEEP;
+  if (!v) return 5;
+  const n = Number.parseInt(String(v), 10);
+  if (!Number.isFinite(n) || n < 0) return 5;
+  return n;
+}
+
+// Returns a new meta tree for `next`: new entries get createdAt/updatedAt, changed values get
+// updatedAt/updatedBy (the previous value moves into history), unchanged entries keep their
+// metadata and removed entries are dropped. Entries in `keep` ("svc:cat:KEY" ids; moved or renamed
+// entries whose metadata the caller already carried over) keep `meta` as is.
+// `refs` (Map of "svc:cat:KEY" → boolean) marks entries whose value was written with references
+// (see `dotkc set --refs`); any other new or changed value is plain text again.
+export function stampMetadata(base, next, meta, { by = os.hostname(), now = new Date().toISOString(), historyKeep = getHistoryKeep(), keep = null, refs = null } = {}) {
+  const withRefs = (m, id, written) => {
+    const out = { ...m };
+    if (refs?.get(id) ?? (written ? false : Boolean(m.refs))) out.refs = true;
+    else delete out.refs;
+    return out;
+  };
+  return mapEntries(next, (value, service, category, k) => {
+    const id = `${service}:${category}:${k}`;
+    const prev = meta?.[service]?.[category]?.[k] ?? null;
+    if (prev && keep?.has(id)) return prev;
+    const before = base?.[service]?.[category]?.[k];
+    if (before == null) return withRefs({ ...prev, createdAt: now, updatedAt: now, updatedBy: by }, id, true);
+    if (before === value) return withRefs(prev ?? { createdAt: null, updatedAt: null, updatedBy: null }, id, false);
+    const old = { value: before, updatedAt: prev?.updatedAt ?? null, updatedBy: prev?.updatedBy ?? null, ...(prev?.refs ? { refs: true } : {}) };
+    const history = [old, ...(prev?.history ?? [])];
+    const out = withRefs({ createdAt: null, ...prev, updatedAt: now, updatedBy: by, history: history.slice(0, historyKeep) }, id, true);
+    if (out.history.length === 0) delete out.history;
+    return out;
+  });
+}
+
+// Decrypts a vault object; understands both payload versions.
 function decryptVaultJson(key, vaultObj) {
-  if (!vaultObj || vaultObj.version !== 1 || vaultObj.cipher !== 'aes-256-gcm') throw new Error('Unsupported vault format');
-  const iv = Buffer.from(vaultObj.iv, 'base64');
-  const tag = Buffer.from(vaultObj.tag, 'base64');
-  const ciphertext = Buffer.from(vaultObj.ciphertext, 'base64');
-  const decipher = crypto.createDecipheriv('aes-256-gcm', key, iv);
-  decipher.setAuthTag(tag);
-  const plain = Buffer.concat([decipher.update(ciphertext), decipher.final()]);
-  return JSON.parse(plain.toString('utf8'));
+  if (!vaultObj || vaultObj.cipher !== 'aes-256-gcm') throw new Error('Unsupported vault format');
+  return decodePayload(JSON.parse(aesGcmDecrypt(key, vaultObj).toString('utf8')));
+}
+
+// --- Multi-recipient vaults (format version 2) ---
+//
+// The payload is encrypted with a random data key. The data key is wrapped once per recipient:
+//   - type "x25519": per-machine identity (ECDH with an ephemeral key + HKDF-SHA256 → AES-256-GCM)
+//   - type "key":    the shared symmetric key file (AES-256-GCM), kept for machines not yet migrated
+// Adding a recipient only appends a wrap; removing one re-generates the data key and re-wraps it
+// for the remaining recipients from their public keys (no action needed on those machines).
+
+const IDENTITY_FILE_FORMAT = 'dotkc-identity';
+const SHARED_KEY_RECIPIENT = 'shared-key';
+
+function recipientIdFor(publicKey) {
+  return sha256(Buffer.from(publicKey, 'base64url')).slice(0, 16);
+}
+
+function x25519PublicKey(x) {
+  return crypto.createPublicKey({ key: { kty: 'OKP', crv: 'X25519', x }, format: 'jwk' });
+}
+
+export function generateIdentity(name = os.hostname()) {
+  const { privateKey } = crypto.generateKeyPairSync('x25519');
+  const jwk = privateKey.export({ format: 'jwk' });
+  return { format: IDENTITY_FILE_FORMAT, version: 1, type: 'x25519', name, publicKey: jwk.x, privateKey: jwk.d };
+}
+
+export function readIdentity(identityPath) {
+  const raw = readFileIfExists(identityPath);
+  if (!raw) return null;
+  try {
+    const obj = JSON.parse(raw.toString('utf8'));
+    if (obj?.format !== IDENTITY_FILE_FORMAT || obj.type !== 'x25519' || !obj.publicKey || !obj.privateKey) return null;
+    return { ...obj, id: recipientIdFor(obj.publicKey) };
+  } catch {
+    return null;
+  }
+}
+
+export function ensureIdentityFile(identityPath, name) {
+  const existing = readIdentity(identityPath);
+  if (existing) return { identity: existing, created: false };
+  if (fs.existsSync(identityPath)) throw new Error(`Identity file is invalid: ${identityPath}`);
+  const identity = generateIdentity(name);
+  atomicWriteFile(identityPath, Buffer.from(JSON.stringify(identity, null, 2) + '\n', 'utf8'), 0o600);
+  return { identity: { ...identity, id: recipientIdFor(identity.publicKey) }, created: true };
+}
+
+export function parsePublicKey(s) {
+  const v = String(s ?? '').trim();
+  try {
+    const jwk = x25519PublicKey(v).export({ format: 'jwk' });
+    return jwk.x === v ? v : null;
+  } catch {
+    return null;
+  }
+}
+
+function x25519Kek(shared, epk, publicKey) {
+  return Buffer.from(crypto.hkdfSync('sha256', shared, Buffer.from(`${epk}.${publicKey}`, 'utf8'), 'dotkc-vault-v2', 32));
+}
+
+function wrapDataKey(dataKey, recipient, { key = null } = {}) {
+  if (recipient.type === 'key') {
+    if (!key) throw new Error('Cannot re-wrap the shared-key recipient without the vault key file on this machine.');
+    return { type: 'key', name: SHARED_KEY_RECIPIENT, id: SHARED_KEY_RECIPIENT, ...aesGcmEncrypt(key, dataKey) };
+  }
+  const eph = crypto.generateKeyPairSync('x25519');
+  const shared = crypto.diffieHellman({ privateKey: eph.privateKey, publicKey: x25519PublicKey(recipient.publicKey) });
+  const epk = eph.publicKey.export({ format: 'jwk' }).x;
+  return {
+    type: 'x25519',
+    name: recipient.name,
+    id: recipientIdFor(recipient.publicKey),
+    publicKey: recipient.publicKey,
+    epk,
+    ...aesGcmEncrypt(x25519Kek(shared, epk, recipient.publicKey), dataKey),
+  };
+}
+
+function unwrapDataKey(recipients, { key = null, identity = null } = {}) {
+  for (const r of recipients ?? []) {
+    try {
+      if (r.type === 'x25519' && identity && r.id === identity.id) {
+        const privateKey = crypto.createPrivateKey({
+          key: { kty: 'OKP', crv: 'X25519', x: identity.publicKey, d: identity.privateKey },
+          format: 'jwk',
+        });
+        const shared = crypto.diffieHellman({ privateKey, publicKey: x25519PublicKey(r.epk) });
+        return aesGcmDecrypt(x25519Kek(shared, r.epk, r.publicKey), r);
+      }
+      if (r.type === 'key' && key) return aesGcmDecrypt(key, r);
+    } catch {
+      // try the next recipient
+    }
+  }
+  throw new Error('No recipient in this vault matches the local key or identity (run: dotkc recipient pubkey, then add it from a machine with access)');
+}
+
+// A "seal" is what saveVault needs to write the vault back in its current format:
+// a 32-byte key Buffer (version 1) or { version: 2, dataKey, recipients } (version 2).
+function sealVault(seal, payload) {
+  if (Buffer.isBuffer(seal)) return encryptVaultJson(seal, payload);
+  if (seal?.version !== 2) throw new Error('Unsupported vault format');
+  return { ...encryptVaultJson(seal.dataKey, payload), version: 2, recipients: seal.recipients };
+}
+
+function openVault(vo, { key = null, identity = null }) {
+  if (vo?.version === 2) {
+    const dataKey = unwrapDataKey(vo.recipients, { key, identity });
+    return { ...decryptVaultJson(dataKey, vo), seal: { version: 2, dataKey, recipients: vo.recipients } };
+  }
+  if (vo?.version !== 1) throw new Error('Unsupported vault format');
+  if (!key) throw new Error('This vault needs the shared vault key file');
+  return { ...decryptVaultJson(key, vo), seal: key };
+}
+
+function normalizeCredentials(keys) {
+  if (Buffer.isBuffer(keys)) return { key: keys, identity: null };
+  return { key: keys?.key ?? null, identity: keys?.identity ?? null };
+}
+
+// Build a version-2 seal: a fresh data key wrapped for each recipient.
+// recipients: [{ type: 'key' }] and/or [{ type: 'x25519', name, publicKey }].
+export function createRecipientSeal(recipients, { key = null } = {}) {
+  const dataKey = crypto.randomBytes(32);
+  return { version: 2, dataKey, recipients: recipients.map((r) => wrapDataKey(dataKey, r, { key })) };
+}
+
+// Append one recipient to an existing version-2 seal (other wraps are untouched).
+export function addSealRecipient(seal, recipient, { key = null } = {}) {
+  const wrap = wrapDataKey(seal.dataKey, recipient, { key });
+  if (seal.recipients.some((r) => r.id === wrap.id)) throw new Error(`Recipient already present: ${wrap.name} (${wrap.id})`);
+  return { ...seal, recipients: [...seal.recipients, wrap] };
+}
+
+// Drop one recipient (by id or name): a fresh data key is wrapped for everyone else, so the
+// removed machine cannot read anything written from now on.
+export function removeSealRecipient(seal, idOrName, { key = null } = {}) {
+  const matches = seal.recipients.filter((r) => r.id === idOrName || r.name === idOrName);
+  if (matches.length === 0) throw new Error(`Recipient not found: ${idOrName}`);
+  if (matches.length > 1) throw new Error(`Recipient name is ambiguous: ${idOrName} (use the id from: dotkc recipient list)`);
+  const remaining = seal.recipients.filter((r) => r !== matches[0]);
+  const shared = remaining.find((r) => r.type === 'key');
+  if (shared) {
+    try {
+      if (!key) throw new Error();
+      aesGcmDecrypt(key, shared);
+    } catch {
+      throw new Error('Removing a recipient re-wraps the data key for the shared-key recipient too; this needs the matching vault key file on this machine.');
+    }
+  }
+  if (remaining.length === 0) throw new Error('Refusing to remove the last recipient (nobody could decrypt the vault).');
+  return createRecipientSeal(remaining, { key });
+}
+
+export function listSealRecipients(seal) {
+  if (Buffer.isBuffer(seal)) return [];
+  return (seal?.recipients ?? []).map(({ type, name, id, publicKey }) => ({ type, name, id, publicKey: publicKey ?? null }));
+}
+
+// Recipients named in a vault file's envelope (no decryption needed); a version-1 vault has only the
+// shared key. Empty when the file is missing or unreadable.
+export function readVaultRecipients(vaultPath) {
+  const header = readVaultHeader(vaultPath);
+  if (!header) return [];
+  if (header.version !== 2) return [{ type: 'key', name: SHARED_KEY_RECIPIENT, id: SHARED_KEY_RECIPIENT, publicKey: null }];
+  return listSealRecipients({ recipients: Array.isArray(header.recipients) ? header.recipients : [] });
 }
 
 export function getVaultFingerprint(vaultPath) {
@@ -89,11 +428,41 @@ export function getVaultFingerprint(vaultPath) {
   return sha256(raw);
 }
 
-export function loadVault(vaultPath, key) {
+// `keys` is the 32-byte key Buffer or { key, identity } (either may be null).
+// `seal` in the result is what saveVault needs to write the vault back in the same format.
+export function loadVault(vaultPath, keys) {
+  const creds = normalizeCredentials(keys);
   const raw = readFileIfExists(vaultPath);
-  if (!raw) return { data: {}, exists: false, fingerprint: null };
+  if (!raw) {
+    return { data: {}, meta: {}, exists: false, fingerprint: null, seal: creds.key, version: null, payloadVersion: LATEST_PAYLOAD_VERSION };
+  }
   const vo = JSON.parse(raw.toString('utf8'));
-  return { data: decryptVaultJson(key, vo), exists: true, fingerprint: sha256(raw) };
+  const { data, meta, payloadVersion, seal } = openVault(vo, creds);
+  return { data, meta, exists: true, fingerprint: sha256(raw), seal, version: vo.version, payloadVersion };
+}
+
+// The unencrypted envelope fields (format version, payload version, recipients).
+function readVaultHeader(vaultPath) {
+  const raw = readFileIfExists(vaultPath);
+  if (!raw) return null;
+  try {
+    const { version = null, payload = 1, recipients = [] } = JSON.parse(raw.toString('utf8')) ?? {};
+    return { version, payload, recipients };
+  } catch {
+    return null;
+  }
+}
+
+// "30s", "15m", "24h", "7d", "2w" → milliseconds (null if not a duration).
+export function parseDuration(s) {
+  const m = String(s ?? '').trim().match(/^(\d+)([smhdw])$/);
+  if (!m) return null;
+  return Number(m[1]) * { s: 1e3, m: 60e3, h: 3600e3, d: 86400e3, w: 7 * 86400e3 }[m[2]];
+}
+
+// Glob for one spec/policy segment: `*` matches any run of characters.
+export function globToRegExp(glob) {
+  return new RegExp(`^${String(glob).split('*').map((s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`);
 }
 
 function timestampId() {
@@ -117,7 +486,7 @@ function getBackupDir(vaultPath) {
   return d;
 }
 
-function listBackups(vaultPath) {
+export function listBackups(vaultPath) {
   const dir = getBackupDir(vaultPath);
   const base = path.basename(vaultPath);
   try {
@@ -144,13 +513,165 @@ function pruneBackups(vaultPath, keep) {
   }
 }
 
+// --- Advisory write lock ---
+//
+// `<vault>.lock` holds { pid, host, createdAt, command, token } of the process doing a
+// load-modify-save cycle. A lock is stale when its process is gone (same host only) or when it
+// is older than DOTKC_LOCK_STALE_MS; stale locks are taken over.
+
+function getLockTimeoutMs() {
+  const v = process.env.DOTKC_LOCK_TIMEOUT_MS;
+  if (!v) return 10_000;
+  const n = Number.parseInt(String(v), 10);
+  if (!Number.isFinite(n) || n < 0) return 10_000;
+  return n;
+}
+
+function getLockStaleMs() {
+  const v = process.env.DOTKC_LOCK_STALE_MS;
+  if (!v) return 10 * 60_000;
+  const n = Number.parseInt(String(v), 10);
+  if (!Number.isFinite(n) || n <= 0) return 10 * 60_000;
+  return n;
+}
+
+function pidAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (e) {
+    return e?.code === 'EPERM';
+  }
+}
+
+export function vaultLockPath(vaultPath) {
+  return `${vaultPath}.lock`;
+}
+
+// Returns null if there is no lock, else its contents plus { path, ageMs, stale, reason }.
+export function readVaultLock(vaultPath, { staleMs = getLockStaleMs() } = {}) {
+  const fp = vaultLockPath(vaultPath);
+  let raw;
+  let st;
+  try {
+    raw = fs.readFileSync(fp, 'utf8');
+    st = fs.statSync(fp);
+  } catch {
+    return null;
+  }
+  let info = {};
+  try {
+    info = JSON.parse(raw) ?? {};
+  } catch {
+    // being written right now, or garbage; only age can make it stale
+  }
+  const ageMs = Date.now() - st.mtimeMs;
+  let reason = null;
+  if (info.host === os.hostname() && Number.isInteger(info.pid) && !pidAlive(info.pid)) reason = `process ${info.pid} is not running`;
+  else if (ageMs > staleMs) reason = `older than ${Math.round(staleMs / 1000)}s`;
+  return { ...info, raw, path: fp, ageMs, stale: Boolean(reason), reason };
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Wait up to DOTKC_LOCK_TIMEOUT_MS for the lock. Returns { path, release }.
+// Throws an error with code 'LOCKED' on timeout.
+export async function acquireVaultLock(vaultPath, { command = null, timeoutMs = getLockTimeoutMs(), staleMs = getLockStaleMs() } = {}) {
+  const fp = vaultLockPath(vaultPath);
+  const token = crypto.randomBytes(8).toString('hex');
+  const body = JSON.stringify({ pid: process.pid, host: os.hostname(), createdAt: new Date().toISOString(), command, token }) + '\n';
+  const deadline = Date.now() + timeoutMs;
+  ensureDirForFile(fp);
+
+  for (;;) {
+    try {
+      fs.writeFileSync(fp, body, { flag: 'wx', mode: 0o600 });
+      const release = () => {
+        // only remove the lock if it is still ours
+        if (readFileIfExists(fp)?.toString('utf8') === body) fs.rmSync(fp, { force: true });
+      };
+      return { path: fp, release };
+    } catch (e) {
+      if (e?.code !== 'EEXIST') throw e;
+    }
+
+    const held = readVaultLock(vaultPath, { staleMs });
+    if (held?.stale) {
+      // take over, unless someone else replaced it in the meantime
+      if (readFileIfExists(fp)?.toString('utf8') === held.raw) fs.rmSync(fp, { force: true });
+      continue;
+    }
+    if (Date.now() >= deadline) {
+      const who = held?.pid ? ` by ${held.command ?? 'dotkc'} (pid ${held.pid} on ${held.host ?? '?'}, since ${held.createdAt ?? '?'})` : '';
+      const err = new Error(`Vault is locked${who}: ${fp}\nWait for the other dotkc command to finish (or raise DOTKC_LOCK_TIMEOUT_MS).`);
+      err.code = 'LOCKED';
+      throw err;
+    }
+    await sleep(100);
+  }
+}
+
+// Temp files left behind by interrupted atomic writes (`<file>.tmp-<pid>-<ts>`).
+export function listTempFiles(fp) {
+  const dir = path.dirname(fp);
+  const prefix = `${path.basename(fp)}.tmp-`;
+  try {
+    return fs
+      .readdirSync(dir)
+      .filter((f) => f.startsWith(prefix))
+      .map((f) => path.join(dir, f))
+      .sort();
+  } catch {
+    return [];
+  }
+}
+
+// Sync tools leave conflict copies next to the vault when two machines write concurrently:
+//   iCloud "dotkc 2.vault", Google Drive "dotkc (1).vault",
+//   Dropbox/Nextcloud "dotkc (<host>'s conflicted copy <date>).vault",
+//   Syncthing "dotkc.sync-conflict-<date>-<time>-<id>.vault"
+export function listConflictCopies(vaultPath) {
+  const dir = path.dirname(vaultPath);
+  const base = path.basename(vaultPath);
+  const ext = path.extname(base);
+  const stem = base.slice(0, base.length - ext.length);
+  const esc = (x) => x.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const re = new RegExp(`^${esc(stem)}(?: \\d+| \\([^)]*\\)|\\.sync-conflict-[^.]+)${esc(ext)}$`);
+  try {
+    return fs
+      .readdirSync(dir)
+      .filter((f) => f !== base && re.test(f))
+      .map((f) => path.join(dir, f))
+      .sort();
+  } catch {
+    return [];
+  }
+}
+
+// Move a reconciled conflict copy out of the synced folder's way, into `<backup dir>/conflicts/`.
+export function archiveConflictCopy(vaultPath, copyPath) {
+  const dest = path.join(getBackupDir(vaultPath), 'conflicts', `${timestampId()}-${path.basename(copyPath)}`);
+  ensureDirForFile(dest);
+  fs.renameSync(copyPath, dest);
+  fs.chmodSync(dest, 0o600);
+  return dest;
+}
+
+// err.code === 'SYNC_CONFLICT' lets callers re-read the vault and merge instead of giving up.
+function syncConflictError() {
+  const err = new Error('Vault changed on disk (sync conflict). Re-run the command and try again.');
+  err.code = 'SYNC_CONFLICT';
+  return err;
+}
+
+// Returns the backup path, or null if no backup was needed (or backups are disabled).
 function backupExistingVaultOrThrow(vaultPath) {
   const keep = getBackupKeep();
-  if (keep === 0) return;
+  if (keep === 0) return null;
 
-  if (!fs.existsSync(vaultPath)) return;
+  if (!fs.existsSync(vaultPath)) return null;
   const st = fs.statSync(vaultPath);
-  if (!st.isFile() || st.size === 0) return;
+  if (!st.isFile() || st.size === 0) return null;
 
   const dir = getBackupDir(vaultPath);
   const base = path.basename(vaultPath);
@@ -160,34 +681,176 @@ function backupExistingVaultOrThrow(vaultPath) {
   fs.copyFileSync(vaultPath, backupPath);
   fs.chmodSync(backupPath, 0o600);
   pruneBackups(vaultPath, keep);
+  return backupPath;
+}
+
+// Replace the vault with a backup file, byte for byte (its format and recipients are kept as-is).
+// Same safety rules as saveVault: fingerprint check, then back up the current vault first.
+export function restoreBackup(vaultPath, backupPath, opts = {}) {
+  // read first: backing up the current vault may prune the file we are restoring
+  const buf = fs.readFileSync(backupPath);
+  const expected = opts.expectedFingerprint ?? null;
+  const current = getVaultFingerprint(vaultPath);
+  if (expected && current && expected !== current) {
+    throw syncConflictError();
+  }
+
+  const previousBackup = backupExistingVaultOrThrow(vaultPath);
+  atomicWriteFile(vaultPath, buf, 0o600);
+  return { fingerprint: sha256(buf), previousBackup };
+}
+
+// Parse the timestamp out of a backup filename (`<vault>.bak-YYYYMMDD-HHMMSSmmm`), as local time.
+export function backupTimestamp(backupPath) {
+  const m = path.basename(backupPath).match(/\.bak-(\d{4})(\d{2})(\d{2})-(\d{2})(\d{2})(\d{2})(\d{3})$/);
+  if (!m) return null;
+  const [, y, mo, d, h, mi, sec, ms] = m.map(Number);
+  return new Date(y, mo - 1, d, h, mi, sec, ms);
 }
 
-export function saveVault(vaultPath, key, data, opts = {}) {
+// Flat view of a vault tree keyed by an unambiguous id (service names may contain ':').
+const ID_SEP = '\u0000';
+
+function flattenTree(tree) {
+  const out = new Map();
+  for (const [service, cats] of Object.entries(tree ?? {})) {
+    if (!cats || typeof cats !== 'object') continue;
+    for (const [category, kv] of Object.entries(cats)) {
+      if (!kv || typeof kv !== 'object') continue;
+      for (const [k, v] of Object.entries(kv)) out.set([service, category, k].join(ID_SEP), v);
+    }
+  }
+  return out;
+}
+
+function unflattenTree(flat) {
+  const out = {};
+  for (const [id, v] of flat) {
+    const [service, category, k] = id.split(ID_SEP);
+    out[service] ??= {};
+    out[service][category] ??= {};
+    out[service][category][k] = v;
+  }
+  return out;
+}
+
+const idToSpec = (id) => id.split(ID_SEP).join(':');
+const sortSpecs = (xs) => xs.sort((x, y) => x.localeCompare(y));
+
+// Key-level comparison of two decrypted vault trees (values are compared, never returned).
+// Each list holds `service:category:KEY` strings, sorted.
+export function diffData(from, to) {
+  const a = flattenTree(from);
+  const b = flattenTree(to);
+  const added = [];
+  const removed = [];
+  const changed = [];
+  const same = [];
+  for (const [k, v] of b) {
+    if (!a.has(k)) added.push(k);
+    else if (a.get(k) !== v) changed.push(k);
+    else same.push(k);
+  }
+  for (const k of a.keys()) if (!b.has(k)) removed.push(k);
+  const specs = (xs) => sortSpecs(xs.map(idToSpec));
+  return { added: specs(added), removed: specs(removed), changed: specs(changed), same: specs(same) };
+}
+
+// Key-level three-way merge: `base` is what we loaded, `ours` what we want to write and `theirs`
+// what is on disk now. A key changed on one side only takes that side's value (deletions included);
+// a key changed differently on both sides is a conflict. Metadata follows the value it belongs to.
+export function mergeData({ base, ours, theirs, baseMeta = {}, ourMeta = {}, theirMeta = {} }) {
+  const b = flattenTree(base);
+  const o = flattenTree(ours);
+  const t = flattenTree(theirs);
+  const bm = flattenTree(baseMeta);
+  const om = flattenTree(ourMeta);
+  const tm = flattenTree(theirMeta);
+
+  const data = new Map();
+  const meta = new Map();
+  const conflicts = [];
+  for (const id of new Set([...b.keys(), ...o.keys(), ...t.keys()])) {
+    const bv = b.get(id);
+    const ov = o.get(id);
+    const tv = t.get(id);
+    let fromTheirs;
+    if (ov === tv) fromTheirs = ov === bv && JSON.stringify(om.get(id)) === JSON.stringify(bm.get(id));
+    else if (tv === bv) fromTheirs = false;
+    else if (ov === bv) fromTheirs = true;
+    else {
+      conflicts.push(idToSpec(id));
+      continue;
+    }
+    const v = fromTheirs ? tv : ov;
+    if (v === undefined) continue;
+    data.set(id, v);
+    const m = fromTheirs ? tm.get(id) : om.get(id);
+    if (m) meta.set(id, m);
+  }
+  return { data: unflattenTree(data), meta: unflattenTree(meta), conflicts: sortSpecs(conflicts) };
+}
+
+// `seal` is the 32-byte key Buffer (version 1) or the seal returned by loadVault / createRecipientSeal.
+// opts.payloadVersion (default: latest) and opts.meta control the payload; pass what loadVault returned.
+export function saveVault(vaultPath, seal, data, opts = {}) {
+  const payloadVersion = opts.payloadVersion ?? LATEST_PAYLOAD_VERSION;
   const expected = opts.expectedFingerprint ?? null;
   const current = getVaultFingerprint(vaultPath);
 
   // P0-2 safety: optimistic concurrency check.
   // If the vault changed since caller loaded it, refuse to overwrite.
   if (expected && current && expected !== current) {
-    throw new Error('Vault changed on disk (sync conflict). Re-run the command and try again.');
+    throw syncConflictError();
+  }
+
+  if (!seal) throw new Error('No vault key available to encrypt the vault.');
+  // Never silently drop the recipients of a multi-recipient vault.
+  const header = readVaultHeader(vaultPath);
+  if (Buffer.isBuffer(seal) && header?.version === 2) {
+    throw new Error('Vault uses the multi-recipient format (version 2); refusing to rewrite it with the shared key only.');
+  }
+  // Never silently drop per-secret metadata either.
+  if (payloadVersion < (header?.payload ?? 1)) {
+    throw new Error(`Vault payload is version ${header.payload}; refusing to rewrite it as version ${payloadVersion}.`);
   }
 
   // P0-1 safety: always back up the existing vault before overwriting.
   // If backup fails, throw (caller should refuse to write).
   backupExistingVaultOrThrow(vaultPath);
 
-  const vo = encryptVaultJson(key, data);
+  const vo = sealVault(seal, encodePayload(data, opts.meta, payloadVersion));
+  if (payloadVersion !== 1) vo.payload = payloadVersion;
   const buf = Buffer.from(JSON.stringify(vo, null, 2) + '\n', 'utf8');
   atomicWriteFile(vaultPath, buf, 0o600);
 
   return sha256(buf);
 }
 
+// Copy the current key file verbatim (wrapped or not) to `<keyPath>.old-<timestamp>`.
+// Used by key rotation so backups written under the old key can still be decrypted.
+export function retireKeyFile(keyPath) {
+  const dest = `${keyPath}.old-${timestampId()}`;
+  fs.copyFileSync(keyPath, dest, fs.constants.COPYFILE_EXCL);
+  fs.chmodSync(dest, 0o600);
+  return dest;
+}
+
+// Copy the vault verbatim next to a retired key (`<key>.old-<timestamp>.vault`). Unlike `.bak-*`
+// files these copies are never pruned: they are the only copy that still decrypts with that key.
+export function keepVaultWithRetiredKey(vaultPath, retiredKeyPath) {
+  const dest = `${retiredKeyPath}.vault`;
+  fs.copyFileSync(vaultPath, dest, fs.constants.COPYFILE_EXCL);
+  fs.chmodSync(dest, 0o600);
+  return dest;
+}
+
 export function ensureKeyFile(keyPath) {
-  let key = readVaultKey(keyPath);
+  const existing = readKeyFile(keyPath);
+  if (existing?.wrapped) throw new Error(`Key file is passphrase-protected: ${keyPath}`);
+  let key = existing?.key ?? null;
   if (key) return { key, created: false };
   key = generateVaultKey();
-  ensureDirForFile(keyPath);
-  atomicWriteFile(keyPath, Buffer.from(key.toString('base64') + '\n', 'utf8'), 0o600);
+  writeKeyFile(keyPath, key);
   return { key, created: true };
 }